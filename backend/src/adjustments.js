@@ -0,0 +1,135 @@
+// backend/src/adjustments.js
+import { Router } from "express";
+import { pool } from "./db.js";
+import { requireAdmin } from "./admin.js";
+import { creditBalances, openLots, creditStatement, adjustCredits, transferCredits } from "./ledger.js";
+
+/**
+ * Admin credit adjustments (rained-off jobs, goodwill, moving credits between accounts).
+ * Every change is a kind 'adjust' ledger row with the admin's reason and name (req.admin);
+ * a customer's balance and full history can be looked up by id or email.
+ */
+
+const router = Router();
+router.use(requireAdmin);
+
+const SERVICES = ["exterior", "full"];
+
+async function findUser(idOrEmail) {
+  const v = (idOrEmail ?? "").toString().trim();
+  if (!v) return null;
+  const r = /^\d+$/.test(v)
+    ? await pool.query(`SELECT id, email, name FROM public.users WHERE id=$1`, [Number(v)])
+    : await pool.query(`SELECT id, email, name FROM public.users WHERE lower(email)=lower($1)`, [v]);
+  return r.rows[0] || null;
+}
+
+/** Shared checks; returns { ok:true, value } or { ok:false, error }. */
+function parseAdjustment(body = {}) {
+  const service_type = String(body.service_type || "");
+  const qty = Number(body.qty);
+  const reason = (body.reason ?? "").toString().trim();
+  if (!SERVICES.includes(service_type)) return { ok: false, error: "invalid_service" };
+  if (!Number.isInteger(qty) || qty < 1 || qty > 100) return { ok: false, error: "invalid_qty" };
+  if (!reason) return { ok: false, error: "reason_required" };
+
+  let valid_until = null;
+  if (body.valid_until != null && body.valid_until !== "") {
+    const t = Date.parse(body.valid_until);
+    if (Number.isNaN(t) || t <= Date.now()) return { ok: false, error: "invalid_expiry" };
+    valid_until = new Date(t).toISOString();
+  }
+  let valid_days;
+  if (body.valid_days != null && body.valid_days !== "") {
+    valid_days = Number(body.valid_days);
+    if (!Number.isInteger(valid_days) || valid_days < 1) return { ok: false, error: "invalid_expiry" };
+  }
+  return { ok: true, value: { service_type, qty, reason: reason.slice(0, 300), valid_until, valid_days } };
+}
+
+/* --------------------------- routes --------------------------- */
+
+// GET /api/admin/credits/:user — balance, open lots and full history (user id or email)
+router.get("/:user", async (req, res) => {
+  try {
+    const user = await findUser(req.params.user);
+    if (!user) return res.status(404).json({ ok: false, error: "not_found" });
+    const [balances, lots, entries] = await Promise.all([
+      creditBalances(user.id), openLots(user.id), creditStatement(user.id),
+    ]);
+    res.json({ ok: true, user, balances, lots, entries });
+  } catch (e) {
+    console.error("[admin/credits] view", e);
+    res.status(500).json({ ok: false, error: "credits_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/credits/grant
+ * Body: { user, service_type, qty, reason, valid_until?, valid_days? }   (no expiry: default policy)
+ */
+router.post("/grant", async (req, res) => {
+  try {
+    const p = parseAdjustment(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const user = await findUser(req.body.user);
+    if (!user) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const out = await adjustCredits({ user_id: user.id, ...p.value, admin: req.admin });
+    console.log(`[admin/credits] ${req.admin} granted ${p.value.qty} ${p.value.service_type} to user=${user.id}: ${p.value.reason}`);
+    res.json({ ...out, balances: await creditBalances(user.id) });
+  } catch (e) {
+    console.error("[admin/credits] grant", e);
+    res.status(500).json({ ok: false, error: "grant_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/credits/revoke
+ * Body: { user, service_type, qty, reason }
+ */
+router.post("/revoke", async (req, res) => {
+  try {
+    const p = parseAdjustment(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const user = await findUser(req.body.user);
+    if (!user) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const { service_type, qty, reason } = p.value;
+    const out = await adjustCredits({ user_id: user.id, service_type, qty: -qty, reason, admin: req.admin });
+    if (!out.ok) return res.status(409).json(out);
+    console.log(`[admin/credits] ${req.admin} revoked ${qty} ${service_type} from user=${user.id}: ${reason}`);
+    res.json({ ...out, balances: await creditBalances(user.id) });
+  } catch (e) {
+    console.error("[admin/credits] revoke", e);
+    res.status(500).json({ ok: false, error: "revoke_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/credits/transfer
+ * Body: { from, to, service_type, qty, reason, valid_until? }   (no expiry: the credits keep theirs)
+ */
+router.post("/transfer", async (req, res) => {
+  try {
+    const p = parseAdjustment(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const [from, to] = await Promise.all([findUser(req.body.from), findUser(req.body.to)]);
+    if (!from || !to) return res.status(404).json({ ok: false, error: "not_found" });
+    if (from.id === to.id) return res.status(400).json({ ok: false, error: "same_user" });
+
+    const { service_type, qty, reason, valid_until } = p.value;
+    const out = await transferCredits({
+      from_user_id: from.id, to_user_id: to.id, service_type, qty, reason, admin: req.admin, valid_until,
+    });
+    if (!out.ok) return res.status(409).json(out);
+    console.log(`[admin/credits] ${req.admin} moved ${qty} ${service_type} user=${from.id} -> user=${to.id}: ${reason}`);
+    const [fromBal, toBal] = await Promise.all([creditBalances(from.id), creditBalances(to.id)]);
+    res.json({ ok: true, balances: { [from.id]: fromBal, [to.id]: toBal } });
+  } catch (e) {
+    console.error("[admin/credits] transfer", e);
+    res.status(500).json({ ok: false, error: "transfer_failed" });
+  }
+});
+
+export default router;
@@ -4,8 +4,31 @@ import { listRecentBookings } from "./db.js";
 const router = Router();
 const TOKEN = process.env.ADMIN_TOKEN || "";
 
+// Personal tokens, "name:token,name:token", so changes can be attributed to whoever made them.
+const NAMED = new Map(
+  (process.env.ADMIN_TOKENS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.includes(":"))
+    .map((s) => [s.slice(s.indexOf(":") + 1), s.slice(0, s.indexOf(":"))])
+);
+
+/**
+ * Admin gate shared by every /api/admin/* router.
+ * Token comes from the "x-admin-token" header (or ?token= for quick browser checks).
+ * Sets req.admin to the token's name ("admin" for the shared ADMIN_TOKEN).
+ */
+export function requireAdmin(req, res, next) {
+  const given = req.headers["x-admin-token"] || req.query.token;
+  const name = given && (NAMED.get(given) || (TOKEN && given === TOKEN ? "admin" : null));
+  if (!name) return res.status(401).json({ error: "unauthorized" });
+  req.admin = name;
+  next();
+}
+
+router.use(requireAdmin);
+
 router.get("/recent", async (req, res) => {
-  if (!TOKEN || req.query.token !== TOKEN) return res.status(401).json({ error: "unauthorized" });
   const lim = Number(req.query.limit || 10);
   const rows = await listRecentBookings(lim);
   res.json({ rows });
@@ -0,0 +1,83 @@
+// backend/src/area.js
+import { getConfig } from "./config.js";
+
+/**
+ * Service area and travel time between jobs, from the offline tables in config.area.
+ *   - inServiceArea(postcode): checked at registration and at checkout
+ *   - travelMinutes(a, b):     gap needed between consecutive jobs at postcodes a and b
+ * UK postcodes: "KT6 4AB" → area "KT", district "KT6" (outward code).
+ */
+
+/** "kt6 4ab" → "KT64AB" */
+export function normalizePostcode(pc) {
+  return String(pc || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/** Area and district of a postcode, or null if it does not look like one. */
+export function parsePostcode(pc) {
+  const n = normalizePostcode(pc);
+  // Full postcode: the inward code is always digit + two letters.
+  const m = /^([A-Z]{1,2})(\d[A-Z\d]?)(\d[A-Z]{2})?$/.exec(n);
+  if (!m) return null;
+  return { area: m[1], district: m[1] + m[2] };
+}
+
+// A prefix of letters only names a whole area; anything else is one district
+// (central London sub-districts count too: "SW1" covers "SW1A").
+function matches(prefix, p) {
+  const pre = normalizePostcode(prefix);
+  if (/^[A-Z]+$/.test(pre)) return p.area === pre;
+  return p.district === pre || (p.district.startsWith(pre) && /^[A-Z]$/.test(p.district.slice(pre.length)));
+}
+
+export function inServiceArea(postcode) {
+  const p = parsePostcode(postcode);
+  if (!p) return false;
+  const { prefixes = [], excluded = [] } = getConfig().area;
+  if (excluded.some((x) => matches(x, p))) return false;
+  return prefixes.some((x) => matches(x, p));
+}
+
+/** Zone of a postcode; a district entry beats an area entry. Null when unknown. */
+export function zoneOf(postcode) {
+  const p = parsePostcode(postcode);
+  if (!p) return null;
+  let best = null;
+  for (const [zone, list] of Object.entries(getConfig().area.zones || {})) {
+    for (const x of list) {
+      if (!matches(x, p)) continue;
+      const rank = /^[A-Z]+$/.test(x) ? 1 : 2;
+      if (!best || rank > best.rank) best = { zone, rank };
+    }
+  }
+  return best?.zone || null;
+}
+
+/** Longest travel gap the table can produce (write paths widen their clash window by it). */
+export function maxTravelMinutes() {
+  const { same_zone_minutes, between = {}, unknown_minutes } = getConfig().area.travel;
+  return Math.max(same_zone_minutes, unknown_minutes, ...Object.values(between));
+}
+
+/** Minutes to allow between a job at postcode `a` and one at `b`. */
+export function travelMinutes(a, b) {
+  const { same_zone_minutes, between = {}, unknown_minutes } = getConfig().area.travel;
+  const za = zoneOf(a), zb = zoneOf(b);
+  if (!za || !zb) return unknown_minutes;
+  if (za === zb) return same_zone_minutes;
+  return between[`${za}:${zb}`] ?? between[`${zb}:${za}`] ?? unknown_minutes;
+}
+
+/**
+ * Widen an existing job [start, end) at `jobPostcode` by the travel time to/from a new job
+ * at `postcode`, so a plain overlap test also enforces the gap. Without a postcode the
+ * interval is returned unchanged.
+ */
+export function padForTravel({ start, end }, jobPostcode, postcode) {
+  if (!postcode) return { start, end };
+  const ms = travelMinutes(jobPostcode, postcode) * 60000;
+  return {
+    start: new Date(Date.parse(start) - ms).toISOString(),
+    end: new Date(Date.parse(end) + ms).toISOString(),
+  };
+}
@@ -3,6 +3,9 @@ import { Router } from "express";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { pool } from "./db.js";
+import { inServiceArea } from "./area.js";
+import { trackReferral, linkReferralUser } from "./referrals.js";
+import { creditBalances, openLots, creditPolicy, creditsHoldFrom } from "./ledger.js";
 
 const router = Router();
 
@@ -48,14 +51,18 @@ export async function authMiddleware(req, _res, next) {
 
 /**
  * POST /api/auth/register
- * Body: { email, password, name?, phone?, street?, postcode? }
+ * Body: { email, password, postcode, name?, phone?, street?, referral_code? }
+ * The postcode must be in the service area; bookings are checked against it later.
  */
 router.post("/register", async (req, res) => {
   try {
-    const { email, password, name, phone, street, postcode } = req.body || {};
-    if (!email || !password) {
+    const { email, password, name, phone, street, postcode, referral_code } = req.body || {};
+    if (!email || !password || !postcode) {
       return res.status(400).json({ ok: false, error: "missing_fields" });
     }
+    if (!inServiceArea(postcode)) {
+      return res.status(400).json({ ok: false, error: "outside_service_area" });
+    }
 
     const existing = await pool.query(
       "SELECT 1 FROM public.users WHERE lower(email)=lower($1)",
@@ -72,6 +79,14 @@ router.post("/register", async (req, res) => {
       [email, hash, name || null, phone || null, street || null, postcode || null]
     );
 
+    // Referrals are a bonus: never fail the registration over them.
+    try {
+      if (referral_code) await trackReferral(referral_code, { user_id: r.rows[0].id, email, source: "register" });
+      else await linkReferralUser(r.rows[0].id, email);
+    } catch (e) {
+      console.warn("[auth/register] referral tracking failed", e?.message || e);
+    }
+
     return res.json({ ok: true, token: signToken(r.rows[0]) });
   } catch (e) {
     console.error("[auth/register]", e);
@@ -116,7 +131,9 @@ router.post("/login", async (req, res) => {
 
 /**
  * GET /api/auth/me
- * Uses authMiddleware; returns profile, credits, and active subscriptions.
+ * Uses authMiddleware; returns profile, credits (with their lots and expiry dates),
+ * active subscriptions with their tier's credit policy and pause state (paused, resumes_at),
+ * and credits_hold_from after a failed membership payment.
  */
 router.get("/me", authMiddleware, async (req, res) => {
   try {
@@ -132,23 +149,25 @@ router.get("/me", authMiddleware, async (req, res) => {
       return res.status(404).json({ ok: false, error: "not_found" });
     }
 
-    // Live credits summary via your ledger
-    const c = await pool.query(
-      `SELECT service_type, COALESCE(SUM(qty),0) AS bal
-         FROM public.credit_ledger
-        WHERE user_id=$1
-          AND (valid_until IS NULL OR valid_until > now())
-        GROUP BY service_type`,
-      [req.user.id]
-    );
-    const credits = { exterior: 0, full: 0 };
-    for (const row of c.rows) credits[row.service_type] = Number(row.bal || 0);
+    // Live credits summary via your ledger, plus each unspent lot and when it expires
+    const credits = await creditBalances(req.user.id);
+    const credit_lots = (await openLots(req.user.id)).map((l) => ({
+      service_type: l.service_type,
+      remaining: l.remaining,
+      reason: l.reason,
+      expires_at: l.grace_from || l.valid_until,
+      usable_until: l.valid_until,
+      in_grace: !!l.grace_from && new Date(l.grace_from).getTime() <= Date.now(),
+    }));
 
     // Active/trialing/past_due subscriptions for UI decisions
     const subs = await pool.query(
       `SELECT tier, status,
               EXTRACT(EPOCH FROM current_period_start)::bigint AS current_period_start,
-              EXTRACT(EPOCH FROM current_period_end)::bigint   AS current_period_end
+              EXTRACT(EPOCH FROM current_period_end)::bigint   AS current_period_end,
+              (paused_at IS NOT NULL AND (resumes_at IS NULL OR resumes_at > now())) AS paused,
+              CASE WHEN resumes_at > now() THEN resumes_at END AS resumes_at,
+              payment_failed_at
          FROM public.subscriptions
         WHERE user_id=$1
           AND status IN ('active','trialing','past_due')
@@ -156,7 +175,11 @@ router.get("/me", authMiddleware, async (req, res) => {
       [req.user.id]
     );
 
-    return res.json({ ok: true, user: u.rows[0], credits, subscriptions: subs.rows || [] });
+    const subscriptions = subs.rows.map((s) => ({ ...s, credit_policy: creditPolicy(s.tier) }));
+    // after a failed membership payment: when credits go (or went) on hold
+    const credits_hold_from = await creditsHoldFrom(req.user.id);
+
+    return res.json({ ok: true, user: u.rows[0], credits, credit_lots, subscriptions, credits_hold_from });
   } catch (e) {
     console.error("[auth/me]", e);
     return res.status(500).json({ ok: false, error: "me_failed" });
@@ -165,7 +188,7 @@ router.get("/me", authMiddleware, async (req, res) => {
 
 /**
  * PUT /api/auth/me
- * Body: { name?, phone?, street?, postcode?, new_password? }
+ * Body: { name?, phone?, street?, postcode?, new_password? }   (a postcode must be in the service area)
  */
 router.put("/me", authMiddleware, async (req, res) => {
   try {
@@ -174,6 +197,9 @@ router.put("/me", authMiddleware, async (req, res) => {
     }
 
     const { name, phone, street, postcode, new_password } = req.body || {};
+    if (typeof postcode === "string" && !inServiceArea(postcode)) {
+      return res.status(400).json({ ok: false, error: "outside_service_area" });
+    }
     const updates = [];
     const params = [];
     let idx = 1;
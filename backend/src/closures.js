@@ -0,0 +1,218 @@
+// backend/src/closures.js
+import { Router } from "express";
+import { DateTime } from "luxon";
+import { pool } from "./db.js";
+import { requireAdmin } from "./admin.js";
+import { TZ, overlaps } from "./schedule.js";
+
+/**
+ * Blackout dates and ad-hoc closures. Three kinds:
+ *   - day:    a whole local day            { day: "YYYY-MM-DD" }
+ *   - range:  an absolute time range       { starts_at, ends_at } (ISO)
+ *   - weekly: a recurring weekday          { weekday: 1..7 (Mon..Sun), from_time?, to_time? ("HH:MM") }
+ *             without times the whole day is closed.
+ * Availability subtracts them like bookings; write paths refuse slots inside them.
+ */
+
+const router = Router();
+router.use(requireAdmin);
+
+const KINDS = ["day", "range", "weekly"];
+const HM = /^\d{2}:\d{2}$/;
+
+export async function initClosures() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.closures (
+      id SERIAL PRIMARY KEY,
+      kind TEXT NOT NULL,              -- 'day' | 'range' | 'weekly'
+      day DATE,
+      starts_at TIMESTAMPTZ,
+      ends_at   TIMESTAMPTZ,
+      weekday INTEGER,                 -- 1 = Monday … 7 = Sunday
+      from_time TEXT,                  -- 'HH:MM' local, weekly only
+      to_time   TEXT,
+      reason TEXT,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+}
+
+/* --------------------------- store --------------------------- */
+
+const COLS = `id, kind, to_char(day,'YYYY-MM-DD') AS day, starts_at, ends_at, weekday, from_time, to_time, reason, created_at`;
+
+export async function listClosures() {
+  const r = await pool.query(`SELECT ${COLS} FROM public.closures ORDER BY id DESC`);
+  return r.rows || [];
+}
+
+async function getClosure(id) {
+  const r = await pool.query(`SELECT ${COLS} FROM public.closures WHERE id=$1`, [id]);
+  return r.rows[0] || null;
+}
+
+/** Validate and normalise an admin payload. Returns { ok, value } or { ok:false, error }. */
+function parseClosure(body = {}) {
+  const kind = String(body.kind || "");
+  if (!KINDS.includes(kind)) return { ok: false, error: "invalid_kind" };
+  const v = { kind, day: null, starts_at: null, ends_at: null, weekday: null, from_time: null, to_time: null,
+              reason: body.reason ? String(body.reason) : null };
+
+  if (kind === "day") {
+    if (!DateTime.fromISO(String(body.day || ""), { zone: TZ }).isValid) return { ok: false, error: "invalid_day" };
+    v.day = String(body.day).slice(0, 10);
+  }
+  if (kind === "range") {
+    const s = Date.parse(body.starts_at), e = Date.parse(body.ends_at);
+    if (Number.isNaN(s) || Number.isNaN(e) || e <= s) return { ok: false, error: "invalid_range" };
+    v.starts_at = new Date(s).toISOString();
+    v.ends_at = new Date(e).toISOString();
+  }
+  if (kind === "weekly") {
+    const wd = Number(body.weekday);
+    if (!Number.isInteger(wd) || wd < 1 || wd > 7) return { ok: false, error: "invalid_weekday" };
+    v.weekday = wd;
+    if (body.from_time || body.to_time) {
+      if (!HM.test(body.from_time || "") || !HM.test(body.to_time || "") || body.to_time <= body.from_time) {
+        return { ok: false, error: "invalid_times" };
+      }
+      v.from_time = body.from_time;
+      v.to_time = body.to_time;
+    }
+  }
+  return { ok: true, value: v };
+}
+
+/** Concrete closed intervals of one closure that touch [startISO, endISO). */
+function expandClosure(c, startISO, endISO) {
+  if (c.kind === "range") {
+    const s = new Date(c.starts_at).toISOString(), e = new Date(c.ends_at).toISOString();
+    return overlaps(s, e, startISO, endISO) ? [{ start: s, end: e }] : [];
+  }
+
+  const out = [];
+  const last = DateTime.fromISO(endISO).setZone(TZ).startOf("day");
+  for (let d = DateTime.fromISO(startISO).setZone(TZ).startOf("day"); d <= last; d = d.plus({ days: 1 })) {
+    const key = d.toFormat("yyyy-LL-dd");
+    if (c.kind === "day" && key !== c.day) continue;
+    if (c.kind === "weekly" && d.weekday !== c.weekday) continue;
+
+    let s = d, e = d.plus({ days: 1 });
+    if (c.kind === "weekly" && c.from_time) {
+      const [fh, fm] = c.from_time.split(":").map(Number);
+      const [th, tm] = c.to_time.split(":").map(Number);
+      s = d.set({ hour: fh, minute: fm });
+      e = d.set({ hour: th, minute: tm });
+    }
+    const iv = { start: s.toUTC().toISO(), end: e.toUTC().toISO() };
+    if (overlaps(iv.start, iv.end, startISO, endISO)) out.push(iv);
+  }
+  return out;
+}
+
+/** All closed intervals touching [startISO, endISO), in the busy-interval shape of store.js. */
+export async function getClosureIntervals(startISO, endISO) {
+  const all = await listClosures();
+  return all.flatMap((c) => expandClosure(c, startISO, endISO));
+}
+
+/** True if [startISO, endISO) falls (partly) inside any closure. */
+export async function overlapsClosure(startISO, endISO) {
+  return (await getClosureIntervals(startISO, endISO)).length > 0;
+}
+
+/** Live bookings that fall inside a closure, so the customers can be contacted. */
+export async function bookingsInClosure(c) {
+  const r = await pool.query(
+    `SELECT id, service_key, start_time, end_time, customer_name, customer_email, customer_phone
+       FROM public.bookings
+      WHERE end_time > now()
+        AND status IS DISTINCT FROM 'cancelled'
+      ORDER BY start_time ASC`
+  );
+  return (r.rows || []).filter((b) => {
+    const s = new Date(b.start_time).toISOString(), e = new Date(b.end_time).toISOString();
+    return expandClosure(c, s, e).length > 0;
+  });
+}
+
+/* --------------------------- admin routes --------------------------- */
+
+router.get("/", async (_req, res) => {
+  try {
+    res.json({ ok: true, rows: await listClosures() });
+  } catch (e) {
+    console.error("[admin/closures] list", e);
+    res.status(500).json({ ok: false, error: "closures_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/closures
+ * Body: { kind, day? | starts_at?, ends_at? | weekday?, from_time?, to_time?, reason? }
+ * Returns the closure plus the bookings already inside it.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const p = parseClosure(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const v = p.value;
+    const r = await pool.query(
+      `INSERT INTO public.closures (kind, day, starts_at, ends_at, weekday, from_time, to_time, reason)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING id`,
+      [v.kind, v.day, v.starts_at, v.ends_at, v.weekday, v.from_time, v.to_time, v.reason]
+    );
+    const closure = await getClosure(r.rows[0].id);
+    const affected_bookings = await bookingsInClosure(closure);
+    console.log(`[admin/closures] created id=${closure.id} kind=${closure.kind} affected=${affected_bookings.length}`);
+    res.json({ ok: true, closure, affected_bookings });
+  } catch (e) {
+    console.error("[admin/closures] create", e);
+    res.status(500).json({ ok: false, error: "closure_create_failed" });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const p = parseClosure(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const v = p.value;
+    const r = await pool.query(
+      `UPDATE public.closures
+          SET kind=$2, day=$3, starts_at=$4, ends_at=$5, weekday=$6, from_time=$7, to_time=$8, reason=$9
+        WHERE id=$1`,
+      [Number(req.params.id), v.kind, v.day, v.starts_at, v.ends_at, v.weekday, v.from_time, v.to_time, v.reason]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    const closure = await getClosure(Number(req.params.id));
+    res.json({ ok: true, closure, affected_bookings: await bookingsInClosure(closure) });
+  } catch (e) {
+    console.error("[admin/closures] update", e);
+    res.status(500).json({ ok: false, error: "closure_update_failed" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const r = await pool.query(`DELETE FROM public.closures WHERE id=$1`, [Number(req.params.id)]);
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[admin/closures] delete", e);
+    res.status(500).json({ ok: false, error: "closure_delete_failed" });
+  }
+});
+
+// Bookings inside an existing closure (to contact the customers)
+router.get("/:id/affected", async (req, res) => {
+  try {
+    const closure = await getClosure(Number(req.params.id));
+    if (!closure) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, closure, affected_bookings: await bookingsInClosure(closure) });
+  } catch (e) {
+    console.error("[admin/closures] affected", e);
+    res.status(500).json({ ok: false, error: "closures_failed" });
+  }
+});
+
+export default router;
@@ -2,13 +2,55 @@
 export function getConfig() {
   return {
     currency: "gbp",
-    lead_minutes: 24 * 60, // 24h
-    families: {
-      weekday_75:  ["16:00","17:45","19:45"],
-      weekday_120: ["16:00","18:30"],
-      weekend_75:  ["09:00","10:45","12:30","14:15","16:00","17:45"],
-      weekend_120: ["09:00","11:30","14:00","16:30"]
+    // Schedule engine inputs (see schedule.js)
+    schedule: {
+      tz: "Europe/London",
+      lead_minutes: 24 * 60,      // 24h
+      horizon_months: 1,          // bookable up to end of day, one month ahead
+      buffer_minutes: 30,         // gap between generated starts; travel between jobs is area.travel
+      overrun_max_minutes: 45,    // a job may finish this long after closing
+      hours: {
+        weekday: { start: "16:00", end: "21:00" },
+        weekend: { start: "09:00", end: "19:30" }
+      },
+      // Fixed start times per day type and duration; durations without a family
+      // (e.g. a service lengthened by add-ons) fall back to starts generated from `hours`.
+      families: {
+        weekday_75:  ["16:00","17:45","19:45"],
+        weekday_120: ["16:00","18:30"],
+        weekend_75:  ["09:00","10:45","12:30","14:15","16:00","17:45"],
+        weekend_120: ["09:00","11:30","14:00","16:30"]
+      }
+    },
+    // Customers can cancel / move a booking up to this many hours before it starts.
+    booking_policy: { cancel_cutoff_hours: 24, reschedule_cutoff_hours: 24 },
+    // Where we go (see area.js). A postcode is served when it starts with one of
+    // `prefixes`: a whole area ("SW") or a single district ("KT6"). `excluded` wins.
+    area: {
+      prefixes: ["SW", "SE", "W", "CR", "KT", "SM", "TW"],
+      excluded: ["SE1", "SE28", "TW6"],
+      // Offline postcode → zone table: each zone lists its areas/districts (longest match wins).
+      zones: {
+        central:   ["SW1", "SW3", "SW5", "SW7", "SW10", "W1", "W2", "W8", "W11", "W14"],
+        west:      ["W", "TW"],
+        southwest: ["SW", "KT"],
+        south:     ["CR", "SM", "SE"],
+      },
+      // Minutes to allow between consecutive jobs, replacing the flat schedule buffer.
+      travel: {
+        same_zone_minutes: 15,
+        between: {                 // "a:b" (either order)
+          "central:west": 30, "central:southwest": 30, "central:south": 40,
+          "west:southwest": 30, "west:south": 45, "southwest:south": 30,
+        },
+        unknown_minutes: 30,       // a postcode without a zone
+      },
     },
+    // Slots are held while the customer is in Stripe Checkout. Stripe needs >= 30.
+    holds: { checkout_minutes: 30, grace_minutes: 5 },
+    // Freed slots are offered to waitlisted customers, each claim link holding the slot
+    // for claim_minutes; at most notify_max customers are offered one freed slot.
+    waitlist: { claim_minutes: 20, notify_max: 3 },
     services: {
       exterior: { name: "Exterior Detail", duration: 75, price: 40 },
       full: { name: "Full Detail", duration: 120, price: 60 },
@@ -21,9 +63,44 @@ export function getConfig() {
         duration: 120, visits: 2, visitService: "full", price: 100
       }
     },
+    // Credit rules (ledger.js), per membership tier plus "default" for every other grant:
+    // credits expire expiry_days after they are granted, can still be spent for grace_days
+    // after that, and at most max_rollover unused ones are carried into a new billing cycle
+    // (they then expire with that cycle's credits; the rest expire when it starts).
+    // After a failed membership payment, credits go on hold once payment_grace_days have passed.
+    credit_policy: {
+      standard: { expiry_days: 30, max_rollover: 2, grace_days: 3, payment_grace_days: 7 },
+      premium:  { expiry_days: 30, max_rollover: 2, grace_days: 3, payment_grace_days: 7 },
+      default:  { expiry_days: 365, grace_days: 3 }
+    },
+    // Members can pause billing for up to max_days (memberships.js /pause).
+    membership_pause: { max_days: 90 },
+    // Membership credits left on a tier change convert by value (ledger.js exchangeCredits):
+    // n credits of A become n * values[A] / values[B] credits of B, rounded "down", "nearest" or "up".
+    credit_exchange: { values: { exterior: 2, full: 3 }, rounding: "down" },
+    // First-time customers get this much off the service line of a one-off booking (quote.js).
+    intro_discount: { name: "First-time customer discount", percent: 50 },
+    // Gift vouchers (vouchers.js): money vouchers between the min and max (pounds), or one visit of a service.
+    vouchers: { min_amount: 10, max_amount: 500, services: ["exterior", "full"], valid_months: 24 },
+    // Prepaid credit packs sold without a subscription (packs.js); price in pounds.
+    credit_packs: {
+      exterior_5: { name: "5 Exterior Details", service_type: "exterior", qty: 5, price: 180, valid_days: 365 },
+      full_5:     { name: "5 Full Details",     service_type: "full",     qty: 5, price: 270, valid_days: 365 }
+    },
+    // What a referrer earns once their referred customer's first booking is done (referrals.js).
+    referrals: { reward: { service_type: "exterior", qty: 1 } },
+    // Vehicle size classes scale every service and add-on (see sizes.js).
+    default_vehicle_size: "medium",
+    vehicle_sizes: {
+      small:  { name: "Small (e.g. Fiesta)",   price_multiplier: 0.9, duration_multiplier: 0.9 },
+      medium: { name: "Medium (e.g. Golf)",    price_multiplier: 1,   duration_multiplier: 1 },
+      large:  { name: "Large / SUV",           price_multiplier: 1.2, duration_multiplier: 1.2 },
+      van:    { name: "Van (e.g. Transit)",    price_multiplier: 1.5, duration_multiplier: 1.4 }
+    },
+    // duration: extra minutes the add-on adds to the booked slot
     addons: {
-      wax:   { name: "Full Body Wax", price: 10 },
-      polish:{ name: "Hand Polish",   price: 22.5 }
+      wax:   { name: "Full Body Wax", price: 10,   duration: 20 },
+      polish:{ name: "Hand Polish",   price: 22.5, duration: 45 }
     }
   };
 }
@@ -1,68 +1,26 @@
 // backend/src/credits.js
 import { Router } from "express";
-import { pool, saveBooking } from "./db.js";
+import { pool, saveBooking, accountPostcode } from "./db.js";
 import { authMiddleware } from "./auth.js";
-import { createCalendarEvents } from "./gcal.js";
+import { createCalendarEvents, bookingEventItem } from "./gcal.js";
+import { resolveSlot } from "./schedule.js";
+import { qualifiedResources, calendarIdFor } from "./resources.js";
+import { overlapsClosure } from "./closures.js";
+import { inServiceArea } from "./area.js";
+import { useClaim } from "./waitlist.js";
+import { vehicleSize, sizeName } from "./sizes.js";
+import { findVehicle } from "./vehicles.js";
+import { slotFreed } from "./store.js";
+import { availableCredits, spendableCredits, spendCredits, creditsOnHold } from "./ledger.js";
 
 const router = Router();
 
-/* =================================================================== */
-/*                     MEMBERSHIP CREDIT AWARDING                     */
-/* =================================================================== */
-/**
- * Award membership credits for a billing period.
- *  - tier "standard" => +2 exterior
- *  - tier "premium"  => +2 full
- * If currentPeriodEndSec is provided, credits get a valid_until = that timestamp.
- */
-export async function awardCreditsForTier(userId, tier, currentPeriodEndSec) {
-  if (!userId || !tier) return;
-
-  const grants =
-    tier === "standard"
-      ? [{ service_type: "exterior", qty: 2 }]
-      : tier === "premium"
-      ? [{ service_type: "full", qty: 2 }]
-      : [];
-
-  if (!grants.length) return;
-
-  const setValidUntil = Number.isFinite(currentPeriodEndSec);
-  for (const g of grants) {
-    if (setValidUntil) {
-      await pool.query(
-        `INSERT INTO public.credit_ledger (user_id, service_type, qty, valid_until, kind, reason)
-         VALUES ($1,$2,$3,to_timestamp($4),'credit','membership_cycle')`,
-        [userId, g.service_type, g.qty, currentPeriodEndSec]
-      );
-    } else {
-      await pool.query(
-        `INSERT INTO public.credit_ledger (user_id, service_type, qty, kind, reason)
-         VALUES ($1,$2,$3,'credit','membership_cycle')`,
-        [userId, g.service_type, g.qty]
-      );
-    }
-  }
-}
-
 /* =================================================================== */
 /*                         BOOK WITH CREDIT API                        */
 /* =================================================================== */
 
 const svcNames = { exterior: "Exterior Detail", full: "Full Detail" };
 
-async function availableCredits(user_id, service_type) {
-  const r = await pool.query(
-    `SELECT COALESCE(SUM(qty),0) AS bal
-       FROM public.credit_ledger
-      WHERE user_id=$1
-        AND service_type=$2
-        AND (valid_until IS NULL OR valid_until > now())`,
-    [user_id, service_type]
-  );
-  return Number(r.rows?.[0]?.bal || 0);
-}
-
 async function hasDuplicateBooking(user_id, startISO, endISO) {
   // Uses your canonical columns via saveBooking elsewhere; here we check against the same timestamps.
   const q = `
@@ -71,27 +29,54 @@ async function hasDuplicateBooking(user_id, startISO, endISO) {
      WHERE user_id = $1
        AND start_time = $2::timestamptz
        AND end_time   = $3::timestamptz
+       AND status IS DISTINCT FROM 'cancelled'
      LIMIT 1
   `;
   const r = await pool.query(q, [user_id, startISO, endISO]);
   return r.rowCount > 0;
 }
 
-async function deductOneCredit(user_id, service_type, bookingId) {
-  await pool.query(
-    `INSERT INTO public.credit_ledger
-       (user_id, service_type, qty, kind, reason, related_booking_id)
-     VALUES ($1,$2,-1,'debit',$3,$4)`,
-    [user_id, service_type, `booking ${bookingId}`, bookingId]
+/**
+ * Give back the credit(s) a booking was paid with, e.g. when it is cancelled.
+ * The reversal goes back into the lot the debit came from, with its validity window. Idempotent per booking.
+ * Returns the number of credits restored.
+ */
+export async function reverseBookingDebit(bookingId) {
+  const done = await pool.query(
+    `SELECT 1 FROM public.credit_ledger
+      WHERE related_booking_id=$1 AND kind='adjust' AND reason='booking_cancelled' LIMIT 1`,
+    [bookingId]
+  );
+  if (done.rowCount) return 0;
+
+  const debits = await pool.query(
+    `SELECT user_id, service_type, qty, lot_id, grace_from, valid_until
+       FROM public.credit_ledger
+      WHERE related_booking_id=$1 AND kind='debit'`,
+    [bookingId]
   );
+  let restored = 0;
+  for (const d of debits.rows) {
+    await pool.query(
+      `INSERT INTO public.credit_ledger
+         (user_id, service_type, qty, kind, reason, related_booking_id, lot_id, grace_from, valid_until)
+       VALUES ($1,$2,$3,'adjust','booking_cancelled',$4,$5,$6,$7)`,
+      [d.user_id, d.service_type, -d.qty, bookingId, d.lot_id, d.grace_from, d.valid_until]
+    );
+    restored += -d.qty;
+  }
+  return restored;
 }
 
 /**
  * POST /api/credits/book-with-credit
  * Body: {
  *   service_key: 'exterior' | 'full',
- *   slot: { start_iso: string, end_iso: string },
+ *   slot: { start_iso: string, end_iso?: string },   // end is derived by the schedule
  *   customer?: { name?, email?, phone?, street?, postcode? },
+ *   vehicle_id?: number,                              // saved vehicle; its size class wins
+ *   vehicle_size?: 'small' | 'medium' | 'large' | 'van',
+ *   claim?: string,                                   // waitlist claim token holding this slot
  *   origin?: string
  * }
  * Auth: Bearer (authMiddleware)
@@ -108,20 +93,39 @@ router.post("/book-with-credit", authMiddleware, async (req, res) => {
     const body = req.body || {};
     const service_key = String(body.service_key || "");
     const slot = body.slot || {};
-    const start_iso = slot.start_iso;
-    const end_iso = slot.end_iso;
 
     if (service_key !== "exterior" && service_key !== "full") {
       console.warn("[credits] invalid service_key:", service_key);
       return res.status(400).json({ ok: false, error: "invalid_service" });
     }
-    if (!start_iso || !end_iso || Number.isNaN(Date.parse(start_iso)) || Number.isNaN(Date.parse(end_iso))) {
-      console.warn("[credits] invalid slot:", slot);
-      return res.status(400).json({ ok: false, error: "invalid_slot" });
+    // The area check (and the job's address) use the postcode on the account, not the request.
+    const customer = { ...(body.customer || {}), postcode: await accountPostcode(req.user.id, body.customer?.postcode) };
+    if (!inServiceArea(customer.postcode)) {
+      return res.status(400).json({ ok: false, error: "outside_service_area" });
+    }
+    // The schedule decides whether the start is offered and where the slot ends.
+    // A credit covers the service for any vehicle size; the size only sets the slot length.
+    const car = body.vehicle_id ? await findVehicle(body.vehicle_id, { userId: req.user.id }) : null;
+    if (body.vehicle_id && !car) return res.status(400).json({ ok: false, error: "invalid_vehicle" });
+    const size = vehicleSize(car?.size_class || body.vehicle_size);
+    const resolved = resolveSlot({ service_key, size, start_iso: slot.start_iso, resources: await qualifiedResources(service_key) });
+    if (!resolved.ok) {
+      console.warn("[credits] invalid slot:", slot, resolved.error);
+      return res.status(400).json({ ok: false, error: resolved.error });
+    }
+    const { start_iso, end_iso } = resolved;
+    if (await overlapsClosure(start_iso, end_iso)) {
+      return res.status(409).json({ ok: false, error: "slot_taken" });
     }
 
-    const bal = await availableCredits(req.user.id, service_key);
+    // A member with an unpaid membership invoice cannot spend membership credits once its grace
+    // period is over; packs, vouchers and referral credits stay usable.
+    const held = await creditsOnHold(req.user.id);
+    const bal = await spendableCredits(req.user.id, service_key, undefined, held);
     if (bal < 1) {
+      if (held && await availableCredits(req.user.id, service_key) >= 1) {
+        return res.status(402).json({ ok: false, error: "payment_failed" });
+      }
       console.warn("[credits] insufficient credits: have", bal, "need 1");
       return res.status(400).json({ ok: false, error: "insufficient_credits" });
     }
@@ -132,40 +136,58 @@ router.post("/book-with-credit", authMiddleware, async (req, res) => {
     }
 
     // Persist booking using your canonical helper (correct columns + customer fields).
-    const bookingId = await saveBooking({
-      user_id: req.user.id,
-      stripe_session_id: null,         // not a Stripe session
-      service_key,
-      addons: [],                      // credits pay base service only
-      start_iso,
-      end_iso,
-      customer: body.customer || {},
-      has_tap: true,
-    });
+    // saveBooking re-checks overlaps under the slot lock and assigns a free resource;
+    // a waitlist claim hold for this slot is converted instead of counted as a clash.
+    const claimed = body.claim ? await useClaim(body.claim, { service_key, start_iso, user_id: req.user.id }) : null;
+    let saved;
+    try {
+      saved = await saveBooking({
+        hold_id: claimed?.id || null,
+        user_id: req.user.id,
+        stripe_session_id: null,         // not a Stripe session
+        service_key,
+        addons: [],                      // credits pay base service only
+        vehicle_size: size,
+        vehicle_id: car?.id || null,
+        start_iso,
+        end_iso,
+        customer,
+        has_tap: true,
+        resource_ids: resolved.resource_ids,
+      });
+    } catch (e) {
+      if (e?.code !== "slot_taken") throw e;
+      console.warn("[credits] slot taken:", start_iso);
+      return res.status(409).json({ ok: false, error: "slot_taken" });
+    }
+    const bookingId = saved.id;
 
-    // Deduct exactly one credit, linked to the booking.
-    await deductOneCredit(req.user.id, service_key, bookingId);
+    // Deduct exactly one credit, linked to the booking. The balance checked above may have been
+    // spent by a concurrent booking meanwhile: then this booking is taken back.
+    const spent = await spendCredits({
+      user_id: req.user.id, service_type: service_key, reason: `booking ${bookingId}`, related_booking_id: bookingId,
+    });
+    if (!spent.ok) {
+      await pool.query(`DELETE FROM public.bookings WHERE id=$1`, [bookingId]);
+      slotFreed({ start: start_iso, end: end_iso });
+      console.warn(`[credits] credit gone before booking ${bookingId} was paid; removed`);
+      return res.status(400).json({ ok: false, error: spent.error });
+    }
 
     // Create Google Calendar event (best-effort).
     try {
       const sessionId = `credit:${bookingId}`; // deterministic for calendar event id
-      const items = [{
+      const items = [bookingEventItem({
+        bookingId,
+        serviceName: svcNames[service_key] || service_key,
         start_iso,
         end_iso,
-        summary: `GM Auto Detailing — ${svcNames[service_key] || service_key}`,
-        description: [
-          `Paid with 1 membership credit`,
-          body.customer?.name ? `Name: ${body.customer.name}` : null,
-          body.customer?.phone ? `Phone: ${body.customer.phone}` : null,
-          body.customer?.email ? `Email: ${body.customer.email}` : null,
-          body.customer?.street || body.customer?.postcode
-            ? `Address: ${body.customer.street || ""} ${body.customer.postcode || ""}`.trim()
-            : null,
-          `Booking ID: ${bookingId}`,
-        ].filter(Boolean).join("\n"),
-        location: `${body.customer?.street || ""}, ${body.customer?.postcode || ""}`.trim(),
-      }];
-      await createCalendarEvents(sessionId, items);
+        customer,
+        vehicle: sizeName(size),
+        car,
+        paidWith: "Paid with 1 credit",
+      })];
+      await createCalendarEvents(sessionId, items, await calendarIdFor(saved.resource_id));
     } catch (e) {
       console.warn("[gcal] create events failed", e?.message || e);
     }
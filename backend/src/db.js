@@ -1,5 +1,6 @@
 // backend/src/db.js
 import pkg from "pg";
+import { padForTravel, maxTravelMinutes } from "./area.js";
 const { Pool } = pkg;
 
 /**
@@ -69,6 +70,10 @@ async function ensureTables() {
       customer_street TEXT,
       customer_postcode TEXT,
       has_tap BOOLEAN DEFAULT false,
+      vehicle_size TEXT,
+      vehicle_id INTEGER,
+      status TEXT DEFAULT 'confirmed',     -- 'confirmed' | 'cancelled'
+      cancelled_at TIMESTAMPTZ,
       created_at TIMESTAMPTZ DEFAULT now()
     );
   `);
@@ -95,7 +100,7 @@ async function ensureTables() {
       user_id INTEGER NOT NULL,
       service_type TEXT NOT NULL,          -- 'exterior' | 'full'
       qty INTEGER NOT NULL,                -- +2 grant, -1 debit, etc.
-      kind TEXT NOT NULL,                  -- 'grant' | 'debit' | 'adjust'
+      kind TEXT NOT NULL,                  -- 'credit' | 'debit' | 'adjust' | 'expire'
       reason TEXT,
       related_booking_id INTEGER,
       stripe_invoice_id TEXT,
@@ -151,6 +156,10 @@ async function ensureColumnsAndConstraints() {
     ["customer_street", "TEXT", ""],
     ["customer_postcode", "TEXT", ""],
     ["has_tap", "BOOLEAN", "DEFAULT false"],
+    ["vehicle_size", "TEXT", ""],
+    ["vehicle_id", "INTEGER", ""],
+    ["status", "TEXT", "DEFAULT 'confirmed'"],
+    ["cancelled_at", "TIMESTAMPTZ", ""],
     ["created_at", "TIMESTAMPTZ", "DEFAULT now()"],
   ];
   for (const [col, type, extra] of bookingsNeeded) {
@@ -250,6 +259,75 @@ export async function initDB() {
   console.log("[db] schema ensured");
 }
 
+/* ----------------------------- slot locking ----------------------------- */
+// Any constant works; every writer that claims time takes the same advisory lock.
+const SLOT_LOCK_KEY = 4611;
+
+/**
+ * Runs fn(client) inside a transaction holding the slot advisory lock, so
+ * "check the time is free, then claim it" cannot interleave between requests.
+ */
+export async function withSlotLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock($1)", [SLOT_LOCK_KEY]);
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Error thrown by booking writes when the requested time is no longer free. */
+function slotTaken() {
+  const err = new Error("slot_taken");
+  err.code = "slot_taken";
+  return err;
+}
+
+/**
+ * First resource in `resourceIds` with nothing (live booking or hold) overlapping [startISO, endISO).
+ * With `postcode`, neighbouring jobs must also leave the travel gap from area.js.
+ * `exclude` lets a write ignore its own booking / checkout hold. Call inside withSlotLock.
+ */
+export async function firstFreeResource(client, resourceIds, startISO, endISO, exclude = {}, postcode = null) {
+  const pad = postcode ? maxTravelMinutes() * 60000 : 0;
+  const from = new Date(Date.parse(startISO) - pad).toISOString();
+  const to = new Date(Date.parse(endISO) + pad).toISOString();
+
+  for (const rid of resourceIds) {
+    const near = await client.query(
+      `
+      SELECT start_time, end_time, customer_postcode AS postcode FROM public.bookings
+       WHERE resource_id = $3 AND start_time < $2 AND end_time > $1
+         AND status IS DISTINCT FROM 'cancelled'
+         AND id IS DISTINCT FROM $4
+      UNION ALL
+      SELECT start_time, end_time, postcode FROM public.booking_holds
+       WHERE resource_id = $3 AND expires_at > now() AND start_time < $2 AND end_time > $1
+         AND stripe_session_id IS DISTINCT FROM $5
+         AND id IS DISTINCT FROM $6
+      `,
+      [from, to, rid, exclude.booking_id || null, exclude.stripe_session_id || null, exclude.hold_id || null]
+    );
+    const clash = near.rows.some((r) => {
+      const job = padForTravel(
+        { start: new Date(r.start_time).toISOString(), end: new Date(r.end_time).toISOString() },
+        r.postcode,
+        postcode
+      );
+      return Date.parse(job.start) < Date.parse(endISO) && Date.parse(job.end) > Date.parse(startISO);
+    });
+    if (!clash) return rid;
+  }
+  return null;
+}
+
 /* ----------------------------- writes & reads ----------------------------- */
 /**
  * Save a booking row.
@@ -261,6 +339,12 @@ export async function initDB() {
  *   - b.start_iso / b.end_iso (prefer ISO strings)
  *   - b.customer { name,email,phone,street,postcode }
  *   - b.has_tap (Boolean)
+ *   - b.vehicle_size (optional) size class key, see sizes.js
+ *   - b.vehicle_id (optional) the customer's saved vehicle (vehicles.js)
+ *   - b.hold_id (optional) hold being converted; holds of b.stripe_session_id are converted too
+ *   - b.resource_ids (Integer[]) qualified resources offering the slot, in preference order
+ * Returns { id, resource_id }.
+ * Throws an Error with code "slot_taken" if no candidate resource is free at that time.
  */
 export async function saveBooking(b) {
   if (!pool) {
@@ -278,14 +362,16 @@ export async function saveBooking(b) {
        stripe_session_id, service_key, addons,
        start_iso, end_iso,
        start_time, end_time,
-       customer_name, customer_email, customer_phone, customer_street, customer_postcode, has_tap)
+       customer_name, customer_email, customer_phone, customer_street, customer_postcode, has_tap,
+       resource_id, vehicle_size, vehicle_id)
     VALUES
       ($1,
        $2,$3,$4,
        $5,$6,
        $7,$8,
-       $9,$10,$11,$12,$13,$14)
-    RETURNING id
+       $9,$10,$11,$12,$13,$14,
+       $15,$16,$17)
+    RETURNING id, resource_id
   `;
   const params = [
     b.user_id || null,                     // $1 user_id
@@ -302,12 +388,85 @@ export async function saveBooking(b) {
     (b.customer?.street || null),          // $12
     (b.customer?.postcode || null),        // $13
     !!b.has_tap,                           // $14
+    null,                                  // $15 resource_id (picked under the lock)
+    b.vehicle_size || null,                // $16
+    b.vehicle_id || null,                  // $17
   ];
 
-  const res = await pool.query(sql, params);
-  const id = res.rows[0]?.id || null;
-  console.log(`[saveBooking] inserted id=${id} user_id=${b.user_id || "-"} service=${b.service_key} start=${startISO} end=${endISO}`);
-  return id;
+  // Overlap check + insert under the slot lock. The caller's own checkout hold
+  // (same Stripe session, or hold_id) does not count as a clash, keeps its resource
+  // and is consumed here. Otherwise the first free resource of b.resource_ids wins.
+  const row = await withSlotLock(async (client) => {
+    if (b.stripe_session_id) {
+      const dup = await client.query(
+        `SELECT id, resource_id FROM public.bookings WHERE stripe_session_id = $1 ORDER BY id ASC LIMIT 1`,
+        [b.stripe_session_id]
+      );
+      if (dup.rowCount) return dup.rows[0];
+    }
+
+    const own = await client.query(
+      `SELECT resource_id FROM public.booking_holds WHERE stripe_session_id = $1 OR id = $2`,
+      [b.stripe_session_id || null, b.hold_id || null]
+    );
+    const candidates = [...new Set([...own.rows.map(r => r.resource_id), ...(b.resource_ids || [])])].filter(Boolean);
+    const resourceId = await firstFreeResource(client, candidates, startISO, endISO, {
+      stripe_session_id: b.stripe_session_id,
+      hold_id: b.hold_id,
+    }, b.customer?.postcode);
+    if (!resourceId) throw slotTaken();
+    params[14] = resourceId;
+
+    const res = await client.query(sql, params);
+
+    if (b.stripe_session_id || b.hold_id) {
+      await client.query(
+        `DELETE FROM public.booking_holds WHERE stripe_session_id = $1 OR id = $2`,
+        [b.stripe_session_id || null, b.hold_id || null]
+      );
+    }
+    return res.rows[0];
+  });
+  console.log(`[saveBooking] inserted id=${row.id} user_id=${b.user_id || "-"} service=${b.service_key} resource=${row.resource_id} start=${startISO} end=${endISO}`);
+  return row;
+}
+
+/**
+ * Move a booking to [startISO, endISO) on the first free resource of `resourceIds`
+ * (its current resource first, if listed). Throws an Error with code "slot_taken"
+ * when none is free. Returns the updated row.
+ */
+export async function moveBooking(id, startISO, endISO, resourceIds = []) {
+  return withSlotLock(async (client) => {
+    const cur = await client.query(`SELECT resource_id, customer_postcode FROM public.bookings WHERE id=$1`, [id]);
+    const current = cur.rows[0]?.resource_id;
+    const ordered = resourceIds.includes(current) ? [current, ...resourceIds.filter(r => r !== current)] : resourceIds;
+
+    const resourceId = await firstFreeResource(client, ordered, startISO, endISO, { booking_id: id }, cur.rows[0]?.customer_postcode);
+    if (!resourceId) throw slotTaken();
+
+    const r = await client.query(
+      `UPDATE public.bookings
+          SET start_time=$2, end_time=$3, start_iso=$4, end_iso=$5, resource_id=$6
+        WHERE id=$1
+        RETURNING id, service_key, start_time, end_time, addons, status, resource_id`,
+      [id, startISO, endISO, startISO, endISO, resourceId]
+    );
+    console.log(`[moveBooking] id=${id} resource=${resourceId} start=${startISO} end=${endISO}`);
+    return r.rows[0] || null;
+  });
+}
+
+/** Mark a booking cancelled. Returns the row, or null if it was already cancelled. */
+export async function cancelBooking(id) {
+  const r = await pool.query(
+    `UPDATE public.bookings
+        SET status='cancelled', cancelled_at=now()
+      WHERE id=$1 AND status IS DISTINCT FROM 'cancelled'
+      RETURNING id, service_key, start_time, end_time, stripe_session_id, user_id, resource_id`,
+    [id]
+  );
+  return r.rows[0] || null;
 }
 
 /** availability masking: get rows overlapping [startISO, endISO) using canonical timestamptz */
@@ -317,12 +476,32 @@ export async function getBookingsBetween(startISO, endISO) {
     SELECT id, service_key, start_time, end_time
     FROM public.bookings
     WHERE start_time IS NOT NULL AND end_time IS NOT NULL
+      AND status IS DISTINCT FROM 'cancelled'
       AND NOT (end_time <= $1 OR start_time >= $2)
   `;
   const r = await pool.query(q, [startISO, endISO]);
   return r.rows || [];
 }
 
+/** one-off checkout: booking already written for this Stripe session? */
+export async function findBookingBySession(sessionId) {
+  if (!pool || !sessionId) return null;
+  const r = await pool.query(
+    `SELECT id FROM public.bookings WHERE stripe_session_id = $1 ORDER BY id ASC LIMIT 1`,
+    [sessionId]
+  );
+  return r.rows[0]?.id || null;
+}
+
+/**
+ * The postcode the service-area check uses for a signed-in customer: the one on their account,
+ * so it cannot be swapped per request. `given` only counts for accounts without one.
+ */
+export async function accountPostcode(userId, given = "") {
+  const r = await pool.query(`SELECT postcode FROM public.users WHERE id=$1`, [userId]);
+  return r.rows[0]?.postcode || String(given || "");
+}
+
 /** first-time: seen by email OR phone OR street (bookings history only) */
 export async function hasExistingCustomer({ email, phone, street }) {
   if (!pool) return false;
@@ -1,5 +1,6 @@
 // backend/src/gcal.js
 import { createHash } from "crypto";
+import { vehicleLabel } from "./vehicles.js";
 
 const TZ = "Europe/London";
 const cfg = {
@@ -12,7 +13,12 @@ let googleCached = null;
 let calendar = null;
 
 function ready() {
-  return Boolean(cfg.email && cfg.key && cfg.calId);
+  return Boolean(cfg.email && cfg.key);
+}
+
+// Each resource may have its own calendar; GCAL_CALENDAR_ID is the fallback.
+function calendarFor(calendarId) {
+  return calendarId || cfg.calId || null;
 }
 
 async function getGoogle() {
@@ -53,8 +59,36 @@ function eventId(sessionId, index) {
   return `g${hex.slice(0, 23)}${index}`;
 }
 
-export async function createCalendarEvents(sessionId, items = []) {
-  const api = await client();
+/**
+ * Build the calendar item for a saved booking (shared by credit and one-off flows).
+ * `paidWith` is the first line of the description, e.g. "Paid with 1 credit".
+ * `vehicle` is the size class name; `car` the saved vehicle (make, model, colour, registration).
+ */
+export function bookingEventItem({ bookingId, serviceName, start_iso, end_iso, customer = {}, addons = [], vehicle, car, paidWith }) {
+  return {
+    start_iso,
+    end_iso,
+    summary: `GM Auto Detailing — ${serviceName}${vehicle ? ` (${vehicle})` : ""}`,
+    description: [
+      paidWith || null,
+      vehicle ? `Vehicle: ${vehicle}` : null,
+      car ? `Car: ${vehicleLabel(car)}` : null,
+      addons.length ? `Add-ons: ${addons.join(", ")}` : null,
+      customer.name ? `Name: ${customer.name}` : null,
+      customer.phone ? `Phone: ${customer.phone}` : null,
+      customer.email ? `Email: ${customer.email}` : null,
+      customer.street || customer.postcode
+        ? `Address: ${customer.street || ""} ${customer.postcode || ""}`.trim()
+        : null,
+      `Booking ID: ${bookingId}`,
+    ].filter(Boolean).join("\n"),
+    location: `${customer.street || ""}, ${customer.postcode || ""}`.trim(),
+  };
+}
+
+export async function createCalendarEvents(sessionId, items = [], calendarId) {
+  const calId = calendarFor(calendarId);
+  const api = calId ? await client() : null;
   if (!api) return; // not configured or module missing
 
   for (let i = 0; i < items.length; i++) {
@@ -69,7 +103,7 @@ export async function createCalendarEvents(sessionId, items = []) {
       end:   { dateTime: it.end_iso,   timeZone: TZ },
     };
     try {
-      await api.events.insert({ calendarId: cfg.calId, requestBody: body });
+      await api.events.insert({ calendarId: calId, requestBody: body });
       console.log("[gcal] created", evId);
     } catch (e) {
       if (e?.code === 409) console.log("[gcal] exists", evId);
@@ -77,3 +111,58 @@ export async function createCalendarEvents(sessionId, items = []) {
     }
   }
 }
+
+/** Key the booking's calendar events were created under (see createCalendarEvents callers). */
+export function calendarKeyFor(booking) {
+  return booking.stripe_session_id || `credit:${booking.id}`;
+}
+
+/**
+ * Move existing events (same keys as createCalendarEvents) to new times.
+ * When the booking changed resource, the events are first moved from `fromCalendarId`.
+ */
+export async function updateCalendarEvents(sessionId, items = [], calendarId, fromCalendarId) {
+  const calId = calendarFor(calendarId);
+  const fromId = calendarFor(fromCalendarId);
+  const api = calId ? await client() : null;
+  if (!api) return;
+
+  for (let i = 0; i < items.length; i++) {
+    const evId = eventId(sessionId, i + 1);
+    const it = items[i];
+    try {
+      if (fromId && fromId !== calId) {
+        await api.events.move({ calendarId: fromId, eventId: evId, destination: calId });
+      }
+      await api.events.patch({
+        calendarId: calId,
+        eventId: evId,
+        requestBody: {
+          start: { dateTime: it.start_iso, timeZone: TZ },
+          end:   { dateTime: it.end_iso,   timeZone: TZ },
+        },
+      });
+      console.log("[gcal] moved", evId);
+    } catch (e) {
+      console.warn("[gcal] patch failed", evId, e?.message || e);
+    }
+  }
+}
+
+/** Delete `count` events created under sessionId. Missing events are ignored. */
+export async function deleteCalendarEvents(sessionId, count = 1, calendarId) {
+  const calId = calendarFor(calendarId);
+  const api = calId ? await client() : null;
+  if (!api) return;
+
+  for (let i = 0; i < count; i++) {
+    const evId = eventId(sessionId, i + 1);
+    try {
+      await api.events.delete({ calendarId: calId, eventId: evId });
+      console.log("[gcal] deleted", evId);
+    } catch (e) {
+      if (e?.code === 404 || e?.code === 410) console.log("[gcal] already gone", evId);
+      else console.warn("[gcal] delete failed", evId, e?.message || e);
+    }
+  }
+}
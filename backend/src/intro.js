@@ -0,0 +1,118 @@
+// backend/src/intro.js
+import { pool, hasExistingCustomer } from "./db.js";
+import { normalizePostcode } from "./area.js";
+
+/**
+ * Intro (first-time) discounts: the server alone decides who gets them.
+ *   - only logged-in customers qualify; identity comes from their account,
+ *     extra checkout details can only take eligibility away
+ *   - each redemption is recorded per user and per household (email, phone, street + postcode),
+ *     so a second account at the same address does not get the discount again
+ *   - kind 'oneoff' = first one-off booking, 'membership' = first membership
+ *     (also flips users.membership_intro_used)
+ */
+
+const KINDS = ["oneoff", "membership"];
+
+const safe = (s) => (s ?? "").toString().trim();
+const digits = (s) => safe(s).replace(/[^0-9]+/g, "");
+
+/** Street + postcode, lower-cased with punctuation and spaces stripped ("" when either is missing). */
+export function householdKey(street, postcode) {
+  const st = safe(street).toLowerCase().replace(/[^a-z0-9]+/g, "");
+  const pc = normalizePostcode(postcode);
+  return st && pc ? `${st}|${pc}` : "";
+}
+
+export async function initIntro() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.intro_redemptions (
+      id SERIAL PRIMARY KEY,
+      kind TEXT NOT NULL,                  -- 'oneoff' | 'membership'
+      user_id INTEGER,
+      email TEXT,
+      phone TEXT,                          -- digits only
+      household TEXT,                      -- householdKey(street, postcode)
+      stripe_session_id TEXT UNIQUE,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS intro_redemptions_household_idx ON public.intro_redemptions (kind, household);`);
+}
+
+async function accountOf(userId) {
+  const r = await pool.query(
+    `SELECT id, email, phone, street, postcode, membership_intro_used FROM public.users WHERE id=$1`,
+    [userId]
+  );
+  return r.rows[0] || null;
+}
+
+async function redeemedBefore(kind, { user_id, email, phone, household }) {
+  const r = await pool.query(
+    `SELECT 1 FROM public.intro_redemptions
+      WHERE kind = $1
+        AND (user_id = $2
+             OR ($3 <> '' AND lower(email) = $3)
+             OR ($4 <> '' AND phone = $4)
+             OR ($5 <> '' AND household = $5))
+      LIMIT 1`,
+    [kind, user_id, email, phone, household]
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * May this user still get the intro discount of `kind`?
+ * `customer` are the details entered for this checkout; a match on them counts too.
+ */
+export async function introEligible(kind, { user_id, customer = {} } = {}) {
+  if (!pool || !user_id || !KINDS.includes(kind)) return false;
+  try {
+    const u = await accountOf(user_id);
+    if (!u) return false;
+    if (kind === "membership" && u.membership_intro_used) return false;
+
+    const people = [u, customer].map((p) => ({
+      user_id: u.id,
+      email: safe(p.email).toLowerCase(),
+      phone: digits(p.phone),
+      street: safe(p.street),
+      household: householdKey(p.street, p.postcode),
+    }));
+    for (const p of people) {
+      if (await redeemedBefore(kind, p)) return false;
+      // Anyone who has booked before is not new, whichever intro it is.
+      if ((p.email || p.phone || p.street) && (await hasExistingCustomer(p))) return false;
+    }
+    return true;
+  } catch (e) {
+    console.warn("[intro] eligibility check failed -> not eligible", e?.message);
+    return false;
+  }
+}
+
+/**
+ * Record that a paid Checkout Session used the intro discount. Idempotent per session.
+ * Called from the webhooks, i.e. only once the discount was actually paid for.
+ */
+export async function recordIntroRedemption(kind, { user_id, customer = {}, stripe_session_id }) {
+  if (!pool || !KINDS.includes(kind)) return;
+  await pool.query(
+    `INSERT INTO public.intro_redemptions (kind, user_id, email, phone, household, stripe_session_id)
+     VALUES ($1,$2,$3,$4,$5,$6)
+     ON CONFLICT (stripe_session_id) DO NOTHING`,
+    [
+      kind,
+      user_id || null,
+      safe(customer.email).toLowerCase() || null,
+      digits(customer.phone) || null,
+      householdKey(customer.street, customer.postcode) || null,
+      stripe_session_id || null,
+    ]
+  );
+  if (kind === "membership" && user_id) {
+    await pool.query(`UPDATE public.users SET membership_intro_used=true, updated_at=now() WHERE id=$1`, [user_id]);
+  }
+  console.log(`[intro] ${kind} intro redeemed user=${user_id || "-"} session=${stripe_session_id || "-"}`);
+}
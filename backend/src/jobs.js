@@ -0,0 +1,32 @@
+// backend/src/jobs.js
+import { cleanupExpiredHolds } from "./store.js";
+import { rewardCompletedReferrals } from "./referrals.js";
+import { retryFailedEvents } from "./webhooks.js";
+
+/**
+ * Background sweeps. Expired holds are otherwise only noticed when someone loads
+ * availability, which is too late for waitlist offers (see waitlist.js).
+ * Referral rewards are paid once a referred customer's first booking has ended.
+ * Stripe event handlers that failed are retried until they succeed or run out of attempts.
+ */
+const SWEEP_MS = 60 * 1000;
+const REFERRAL_MS = 15 * 60 * 1000;
+const WEBHOOK_RETRY_MS = 5 * 60 * 1000;
+
+export function startJobs() {
+  const timer = setInterval(() => {
+    cleanupExpiredHolds().catch((e) => console.warn("[jobs] hold sweep failed", e?.message || e));
+  }, SWEEP_MS);
+  timer.unref?.();
+
+  const referrals = setInterval(() => {
+    rewardCompletedReferrals().catch((e) => console.warn("[jobs] referral sweep failed", e?.message || e));
+  }, REFERRAL_MS);
+  referrals.unref?.();
+
+  const webhooks = setInterval(() => {
+    retryFailedEvents().catch((e) => console.warn("[jobs] webhook retry failed", e?.message || e));
+  }, WEBHOOK_RETRY_MS);
+  webhooks.unref?.();
+  console.log("[jobs] hold sweeper, referral rewards and webhook retries running");
+}
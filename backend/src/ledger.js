@@ -0,0 +1,505 @@
+// backend/src/ledger.js
+import { pool } from "./db.js";
+import { getConfig } from "./config.js";
+
+/**
+ * Credit grants, balances and spending on public.credit_ledger.
+ *
+ * Every positive row without a lot_id is a lot: a grant with its own expiry. Rows that
+ * use up or give back part of a lot (debits, expiries, reversals) carry its lot_id and
+ * copy its valid_until/grace_from, so they drop out of the balance together with it.
+ *   - grace_from:  the date the credits expire (NULL when the policy has no grace period)
+ *   - valid_until: the last moment they can be spent (expiry + grace); NULL = never
+ * Lots are spent first-expiring-first. The expiry/rollover/grace rules come from
+ * config.credit_policy: one entry per membership tier plus "default" for other grants.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// pg_advisory_xact_lock(LOCK_NS, user_id): one spend/grant per user at a time.
+const LOCK_NS = 4612;
+
+const USABLE = `(valid_until IS NULL OR valid_until > now())`;
+
+export async function initLedger() {
+  await pool.query(`ALTER TABLE public.credit_ledger ADD COLUMN IF NOT EXISTS lot_id INTEGER;`);
+  await pool.query(`ALTER TABLE public.credit_ledger ADD COLUMN IF NOT EXISTS grace_from TIMESTAMPTZ;`);
+  // hand adjustments: who made them, and the other customer of a transfer
+  await pool.query(`ALTER TABLE public.credit_ledger ADD COLUMN IF NOT EXISTS admin TEXT;`);
+  await pool.query(`ALTER TABLE public.credit_ledger ADD COLUMN IF NOT EXISTS counterparty_user_id INTEGER;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS credit_lot_idx ON public.credit_ledger (lot_id) WHERE lot_id IS NOT NULL;`);
+}
+
+/** { expiry_days, max_rollover, grace_days } for a tier ("default" for grants outside a membership). */
+export function creditPolicy(tier = "default") {
+  const all = getConfig().credit_policy || {};
+  return { expiry_days: null, max_rollover: null, grace_days: 0, ...all.default, ...all[tier] };
+}
+
+/** What one billing cycle of a tier grants: { service_type, qty } or null. */
+export function tierCredits(tier) {
+  const s = getConfig().services?.[`${tier}_membership`];
+  return s?.visitService ? { service_type: s.visitService, qty: s.visits || 0 } : null;
+}
+
+/* --------------------------- balances --------------------------- */
+
+/** Credits of one service the user can spend right now. */
+export async function availableCredits(user_id, service_type, db = pool) {
+  const r = await db.query(
+    `SELECT COALESCE(SUM(qty),0) AS bal
+       FROM public.credit_ledger
+      WHERE user_id=$1 AND service_type=$2 AND ${USABLE}`,
+    [user_id, service_type]
+  );
+  return Number(r.rows?.[0]?.bal || 0);
+}
+
+/** Spendable credits per service: { exterior, full }. */
+export async function creditBalances(user_id) {
+  const r = await pool.query(
+    `SELECT service_type, COALESCE(SUM(qty),0) AS bal
+       FROM public.credit_ledger
+      WHERE user_id=$1 AND ${USABLE}
+      GROUP BY service_type`,
+    [user_id]
+  );
+  const credits = { exterior: 0, full: 0 };
+  for (const row of r.rows) credits[row.service_type] = Number(row.bal || 0);
+  return credits;
+}
+
+// Lots that came from a membership: cycle grants and credits converted on a tier change.
+export const MEMBERSHIP_REASONS = ["membership_cycle", "tier_change"];
+
+/**
+ * The user's unspent, unexpired lots, first-expiring first.
+ * Options: service_type (one service only), reasons (e.g. MEMBERSHIP_REASONS), except_reasons.
+ */
+export async function openLots(user_id, { service_type = null, reasons = null, except_reasons = null } = {}, db = pool) {
+  const r = await db.query(
+    `SELECT g.id, g.service_type, g.reason, g.stripe_invoice_id, g.grace_from, g.valid_until, g.created_at,
+            (g.qty + COALESCE((SELECT SUM(x.qty) FROM public.credit_ledger x WHERE x.lot_id = g.id), 0))::int AS remaining
+       FROM public.credit_ledger g
+      WHERE g.user_id=$1 AND g.lot_id IS NULL AND g.qty > 0
+        AND (g.valid_until IS NULL OR g.valid_until > now())
+        AND ($2::text IS NULL OR g.service_type = $2)
+        AND ($3::text[] IS NULL OR g.reason = ANY($3))
+        AND ($4::text[] IS NULL OR g.reason IS NULL OR g.reason <> ALL($4))
+      ORDER BY g.valid_until ASC NULLS LAST, g.id ASC`,
+    [user_id, service_type, reasons, except_reasons]
+  );
+  return r.rows.filter((l) => l.remaining > 0);
+}
+
+/* --------------------------- writes --------------------------- */
+
+/** Run fn(client) in a transaction holding the credit lock of every given user. */
+async function withUserLock(user_ids, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const id of [].concat(user_ids).sort((x, y) => x - y)) {
+      await client.query(`SELECT pg_advisory_xact_lock($1, $2)`, [LOCK_NS, id]);
+    }
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Insert a grant (a new lot). Its expiry is, in order: `valid_until`, `valid_days` from now,
+ * or the policy's expiry_days; the policy's grace_days are added on top.
+ * With a stripe_session_id the grant is made once per session (null when it already was).
+ * `db`: a client when the grant is part of a caller's transaction.
+ */
+export async function grantCredits({
+  user_id, service_type, qty, reason, kind = "credit", policy = "default",
+  valid_until = null, valid_days, related_booking_id = null, stripe_invoice_id = null, stripe_session_id = null,
+  admin = null, counterparty_user_id = null,
+}, db = pool) {
+  const p = creditPolicy(policy);
+  const days = valid_days !== undefined ? valid_days : p.expiry_days;
+  const expiry = valid_until ? new Date(valid_until) : days ? new Date(Date.now() + days * DAY_MS) : null;
+  const grace = expiry && p.grace_days ? p.grace_days * DAY_MS : 0;
+
+  const r = await db.query(
+    `INSERT INTO public.credit_ledger
+       (user_id, service_type, qty, kind, reason, related_booking_id, stripe_invoice_id, stripe_session_id,
+        valid_from, grace_from, valid_until, admin, counterparty_user_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8, now(), $9, $10, $11, $12)
+     ${stripe_session_id ? "ON CONFLICT (stripe_session_id) WHERE stripe_session_id IS NOT NULL DO NOTHING" : ""}
+     RETURNING id, grace_from, valid_until`,
+    [
+      user_id, service_type, qty, kind, reason, related_booking_id, stripe_invoice_id, stripe_session_id,
+      grace ? expiry : null,
+      expiry ? new Date(expiry.getTime() + grace) : null,
+      admin, counterparty_user_id,
+    ]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Take `qty` out of the given lots in order, writing one row per lot touched.
+ * With `untracked`, whatever the lots cannot cover (balances from before lots were
+ * tracked) is written as one row without a lot, so the balance reflects it.
+ * Returns the pieces taken: [{ qty, grace_from, valid_until }].
+ */
+async function drawFromLots(db, lots, {
+  user_id, service_type, qty, kind, reason, related_booking_id = null,
+  admin = null, counterparty_user_id = null, untracked = false,
+}) {
+  const pieces = [];
+  let left = qty;
+  const write = (n, lot) => db.query(
+    `INSERT INTO public.credit_ledger
+       (user_id, service_type, qty, kind, reason, related_booking_id, lot_id, grace_from, valid_until,
+        admin, counterparty_user_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+    [user_id, service_type, -n, kind, reason, related_booking_id, lot?.id ?? null,
+     lot?.grace_from ?? null, lot?.valid_until ?? null, admin, counterparty_user_id]
+  );
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, lot.remaining);
+    await write(take, lot);
+    pieces.push({ qty: take, grace_from: lot.grace_from, valid_until: lot.valid_until });
+    left -= take;
+  }
+  if (untracked && left > 0) {
+    await write(left, null);
+    pieces.push({ qty: left, grace_from: null, valid_until: null });
+    console.warn(`[ledger] user=${user_id} ${kind} ${left} ${service_type} outside any lot`);
+  }
+  return pieces;
+}
+
+/**
+ * Grant one billing cycle of a membership tier. Unused credits from earlier cycles roll over:
+ * up to the tier's max_rollover of them now expire with the new cycle's credits, and any beyond
+ * that expire now (kind 'expire', reason 'rollover_cap'). Without max_rollover, earlier lots
+ * keep their own expiry.
+ * Returns the existing lot (existing: true) when the invoice was already paid out.
+ */
+export async function grantMembershipCredits({ user_id, tier, stripe_invoice_id = null }) {
+  const t = tierCredits(tier);
+  if (!t?.qty) return null;
+  const { max_rollover } = creditPolicy(tier);
+
+  return withUserLock(user_id, async (db) => {
+    // One grant per invoice: the first invoice arrives with both checkout.session.completed
+    // and invoice.payment_succeeded, and replayed events must not pay twice.
+    if (stripe_invoice_id) {
+      const had = await db.query(
+        `SELECT id, valid_until FROM public.credit_ledger
+          WHERE stripe_invoice_id=$1 AND reason='membership_cycle' AND lot_id IS NULL AND qty > 0
+          LIMIT 1`,
+        [stripe_invoice_id]
+      );
+      if (had.rowCount) return { ...had.rows[0], existing: true };
+    }
+    const reasons = MEMBERSHIP_REASONS;
+    if (max_rollover != null) {
+      const lots = await openLots(user_id, { service_type: t.service_type, reasons }, db);
+      const carried = lots.reduce((n, l) => n + l.remaining, 0);
+      if (carried > max_rollover) {
+        await drawFromLots(db, lots, {
+          user_id, service_type: t.service_type, qty: carried - max_rollover, kind: "expire", reason: "rollover_cap",
+        });
+        console.log(`[ledger] rollover cap: user=${user_id} -${carried - max_rollover} ${t.service_type}`);
+      }
+    }
+    const lot = await grantCredits({ user_id, ...t, reason: "membership_cycle", policy: tier, stripe_invoice_id }, db);
+    if (max_rollover != null && lot.valid_until) {
+      // The lots left after the cap last as long as the new cycle's (their rows move together).
+      const kept = (await openLots(user_id, { service_type: t.service_type, reasons }, db))
+        .filter((l) => l.id !== lot.id && l.valid_until && l.valid_until < lot.valid_until)
+        .map((l) => l.id);
+      if (kept.length) {
+        await db.query(
+          `UPDATE public.credit_ledger SET grace_from=$2, valid_until=$3
+            WHERE id = ANY($1) OR lot_id = ANY($1)`,
+          [kept, lot.grace_from, lot.valid_until]
+        );
+        console.log(`[ledger] rolled over ${kept.length} lot(s) for user=${user_id} to ${lot.valid_until.toISOString()}`);
+      }
+    }
+    return lot;
+  });
+}
+
+/**
+ * Credits of one service the user can spend right now, leaving out membership credits
+ * while they are on hold (see creditsOnHold). `held`: the hold state, when already known.
+ */
+export async function spendableCredits(user_id, service_type, db = pool, held = null) {
+  const all = await availableCredits(user_id, service_type, db);
+  if (!(held ?? await creditsOnHold(user_id))) return all;
+  const lots = await openLots(user_id, { service_type, except_reasons: MEMBERSHIP_REASONS }, db);
+  return Math.min(all, lots.reduce((n, l) => n + l.remaining, 0));
+}
+
+/**
+ * Spend `qty` credits of a service, first-expiring lot first. The balance is checked under
+ * the user's credit lock, so concurrent bookings cannot both spend the last credit; membership
+ * credits on hold are left alone.
+ * Returns { ok } or { ok: false, error: 'insufficient_credits' }.
+ */
+export async function spendCredits({ user_id, service_type, qty = 1, reason, related_booking_id = null }) {
+  const held = await creditsOnHold(user_id);
+  return withUserLock(user_id, async (db) => {
+    if (await spendableCredits(user_id, service_type, db, held) < qty) return { ok: false, error: "insufficient_credits" };
+    const lots = await openLots(user_id, { service_type, except_reasons: held ? MEMBERSHIP_REASONS : null }, db);
+    await drawFromLots(db, lots, { user_id, service_type, qty, kind: "debit", reason, related_booking_id });
+    return { ok: true };
+  });
+}
+
+/* --------------------------- tier changes --------------------------- */
+
+/**
+ * How many `to` credits `qty` credits of `from` are worth under config.credit_exchange:
+ * each service has a value in points, rounded "down" (default), "nearest" or "up".
+ */
+export function exchangeCredits(qty, from, to) {
+  if (from === to) return qty;
+  const { values = {}, rounding = "down" } = getConfig().credit_exchange || {};
+  if (!values[from] || !values[to]) return 0;
+  const round = rounding === "up" ? Math.ceil : rounding === "nearest" ? Math.round : Math.floor;
+  return round((qty * values[from]) / values[to] + 1e-9);
+}
+
+/**
+ * Convert the membership credits left in `from` into `to` on a tier change (kind 'adjust',
+ * reason 'tier_change'). The new lot keeps the latest expiry of the credits it replaces.
+ * `also(db)` runs first in the same transaction (the subscription's new tier). Running it again
+ * is harmless: nothing is left in `from` after the first time.
+ * Returns { from: credits taken, to: credits given }.
+ */
+export async function convertMembershipCredits({ user_id, from, to }, also = null) {
+  return withUserLock(user_id, async (db) => {
+    if (also) await also(db);
+    const lots = await openLots(user_id, { service_type: from, reasons: MEMBERSHIP_REASONS }, db);
+    const total = lots.reduce((n, l) => n + l.remaining, 0);
+    if (!total || from === to) return { from: 0, to: 0 };
+
+    const pieces = await drawFromLots(db, lots, {
+      user_id, service_type: from, qty: total, kind: "adjust", reason: "tier_change",
+    });
+    const given = exchangeCredits(total, from, to);
+    if (given > 0) {
+      const last = pieces.some((p) => !p.valid_until)
+        ? { grace_from: null, valid_until: null }
+        : pieces.reduce((a, p) => (new Date(p.valid_until) > new Date(a.valid_until) ? p : a));
+      await db.query(
+        `INSERT INTO public.credit_ledger
+           (user_id, service_type, qty, kind, reason, valid_from, grace_from, valid_until)
+         VALUES ($1,$2,$3,'adjust','tier_change', now(), $4, $5)`,
+        [user_id, to, given, last.grace_from, last.valid_until]
+      );
+    }
+    console.log(`[ledger] tier change: user=${user_id} ${total} ${from} -> ${given} ${to}`);
+    return { from: total, to: given };
+  });
+}
+
+/* --------------------------- failed payments & refunds --------------------------- */
+
+/**
+ * When a member's membership credits stop being spendable because of an unpaid invoice: their
+ * latest subscription's first failed payment plus the tier's payment_grace_days. Null when not
+ * held; a cancelled membership has nothing left to collect, so it holds nothing.
+ * Packs, vouchers, referral rewards and other grants are never held.
+ */
+export async function creditsHoldFrom(user_id) {
+  const r = await pool.query(
+    `SELECT tier, status, payment_failed_at FROM public.subscriptions
+      WHERE user_id=$1 ORDER BY updated_at DESC NULLS LAST LIMIT 1`,
+    [user_id]
+  );
+  const sub = r.rows[0];
+  if (!sub?.payment_failed_at || sub.status === "canceled") return null;
+  const days = creditPolicy(sub.tier).payment_grace_days || 0;
+  return new Date(new Date(sub.payment_failed_at).getTime() + days * DAY_MS);
+}
+
+/** True when the member's membership credits are on hold right now (see creditsHoldFrom). */
+export async function creditsOnHold(user_id) {
+  const from = await creditsHoldFrom(user_id);
+  return !!from && from.getTime() <= Date.now();
+}
+
+/**
+ * Take back what is left of the credits granted for a refunded invoice (kind 'adjust',
+ * reason 'invoice_refunded'); credits already spent stay spent. Safe to repeat.
+ * Returns the number of credits revoked.
+ */
+export async function revokeInvoiceCredits(stripe_invoice_id) {
+  const g = await pool.query(
+    `SELECT DISTINCT user_id FROM public.credit_ledger
+      WHERE stripe_invoice_id=$1 AND lot_id IS NULL AND qty > 0`,
+    [stripe_invoice_id]
+  );
+  let revoked = 0;
+  for (const { user_id } of g.rows) {
+    revoked += await withUserLock(user_id, async (db) => {
+      const lots = (await openLots(user_id, {}, db)).filter((l) => l.stripe_invoice_id === stripe_invoice_id);
+      let n = 0;
+      for (const lot of lots) {
+        await drawFromLots(db, [lot], {
+          user_id, service_type: lot.service_type, qty: lot.remaining, kind: "adjust", reason: "invoice_refunded",
+        });
+        n += lot.remaining;
+      }
+      return n;
+    });
+  }
+  if (revoked) console.log(`[ledger] revoked ${revoked} credit(s) of refunded invoice ${stripe_invoice_id}`);
+  return revoked;
+}
+
+/* --------------------------- pauses --------------------------- */
+
+/**
+ * Move the expiry of every lot that was open at `at` (with the rows drawn from it) by `ms`.
+ * A membership pause pushes them out by its planned length; resuming early pulls back
+ * the unused part, so credits do not run down while the membership is paused.
+ */
+export async function shiftExpiry(user_id, { at, ms }) {
+  if (!ms) return 0;
+  return withUserLock(user_id, async (db) => {
+    const r = await db.query(
+      `WITH lots AS (
+         SELECT id FROM public.credit_ledger
+          WHERE user_id=$1 AND lot_id IS NULL AND qty > 0
+            AND created_at < $2 AND valid_until > $2
+       )
+       UPDATE public.credit_ledger
+          SET valid_until = valid_until + make_interval(secs => $3),
+              grace_from  = grace_from  + make_interval(secs => $3)
+        WHERE user_id=$1 AND (id IN (SELECT id FROM lots) OR lot_id IN (SELECT id FROM lots))`,
+      [user_id, at, ms / 1000]
+    );
+    return r.rowCount;
+  });
+}
+
+/* --------------------------- admin adjustments --------------------------- */
+
+/**
+ * Grant (qty > 0) or revoke (qty < 0) credits by hand: kind 'adjust', with the admin's reason
+ * and name. A grant expires at `valid_until` / after `valid_days` if given, else by the
+ * default policy; a revoke takes the first-expiring credits and cannot go below zero.
+ * Returns { ok:true } or { ok:false, error }.
+ */
+export async function adjustCredits({ user_id, service_type, qty, reason, admin, valid_until = null, valid_days }) {
+  return withUserLock(user_id, async (db) => {
+    if (qty > 0) {
+      const lot = await grantCredits(
+        { user_id, service_type, qty, kind: "adjust", reason, valid_until, valid_days, admin }, db
+      );
+      return { ok: true, lot_id: lot.id, valid_until: lot.valid_until };
+    }
+    if (await availableCredits(user_id, service_type, db) < -qty) return { ok: false, error: "insufficient_credits" };
+    const lots = await openLots(user_id, { service_type }, db);
+    await drawFromLots(db, lots, { user_id, service_type, qty: -qty, kind: "adjust", reason, admin, untracked: true });
+    return { ok: true };
+  });
+}
+
+/**
+ * Move `qty` credits from one customer to another. The receiver gets them with the same
+ * expiry they had (or `valid_until` if given); both sides record each other as counterparty.
+ */
+export async function transferCredits({ from_user_id, to_user_id, service_type, qty, reason, admin, valid_until = null }) {
+  return withUserLock([from_user_id, to_user_id], async (db) => {
+    if (await availableCredits(from_user_id, service_type, db) < qty) return { ok: false, error: "insufficient_credits" };
+    const lots = await openLots(from_user_id, { service_type }, db);
+    const pieces = await drawFromLots(db, lots, {
+      user_id: from_user_id, service_type, qty, kind: "adjust", reason, admin,
+      counterparty_user_id: to_user_id, untracked: true,
+    });
+    for (const p of pieces) {
+      // Keep the moved credits' own expiry and grace; the receiver's policy does not restart them.
+      await db.query(
+        `INSERT INTO public.credit_ledger
+           (user_id, service_type, qty, kind, reason, valid_from, grace_from, valid_until, admin, counterparty_user_id)
+         VALUES ($1,$2,$3,'adjust',$4, now(), $5, $6, $7, $8)`,
+        [to_user_id, service_type, p.qty, reason,
+         valid_until ? null : p.grace_from, valid_until || p.valid_until, admin, from_user_id]
+      );
+    }
+    return { ok: true };
+  });
+}
+
+/* --------------------------- statement --------------------------- */
+
+const ENTRY_TYPE = { credit: "grant", debit: "debit", adjust: "adjustment", expire: "expiry" };
+
+/**
+ * Every ledger movement of a user, oldest first, with the running balance of its service.
+ * Lots that lapsed with credits left get a synthetic 'expiry' entry at their valid_until,
+ * which is when those credits leave the balance.
+ */
+export async function creditStatement(user_id) {
+  const r = await pool.query(
+    `SELECT l.id, l.created_at, l.service_type, l.qty, l.kind, l.reason, l.lot_id,
+            l.related_booking_id, l.stripe_invoice_id, l.grace_from, l.valid_until, l.admin, l.counterparty_user_id,
+            b.service_key AS booking_service, b.start_time AS booking_start
+       FROM public.credit_ledger l
+       LEFT JOIN public.bookings b ON b.id = l.related_booking_id
+      WHERE l.user_id=$1
+      ORDER BY l.created_at ASC, l.id ASC`,
+    [user_id]
+  );
+
+  const now = Date.now();
+  const lots = new Map(); // lot id -> credits left in it
+  for (const x of r.rows) {
+    if (x.qty > 0 && x.lot_id == null) lots.set(x.id, x.qty);
+    else if (x.lot_id != null && lots.has(x.lot_id)) lots.set(x.lot_id, lots.get(x.lot_id) + x.qty);
+  }
+
+  const entries = r.rows.map((x) => ({
+    id: x.id,
+    at: x.created_at,
+    type: ENTRY_TYPE[x.kind] || x.kind,
+    service_type: x.service_type,
+    qty: x.qty,
+    reason: x.reason,
+    booking: x.related_booking_id
+      ? { id: x.related_booking_id, service_key: x.booking_service, start_time: x.booking_start }
+      : null,
+    lot_id: x.lot_id,
+    stripe_invoice_id: x.stripe_invoice_id,
+    admin: x.admin,
+    counterparty_user_id: x.counterparty_user_id,
+    expires_at: x.qty > 0 && x.lot_id == null ? x.grace_from || x.valid_until : null,
+  }));
+  for (const x of r.rows) {
+    const left = lots.get(x.id);
+    if (left > 0 && x.valid_until && new Date(x.valid_until).getTime() <= now) {
+      entries.push({
+        id: null, at: x.valid_until, type: "expiry", service_type: x.service_type, qty: -left,
+        reason: "expired", booking: null, lot_id: x.id, stripe_invoice_id: null,
+        admin: null, counterparty_user_id: null, expires_at: null,
+      });
+    }
+  }
+
+  entries.sort((a, b) => new Date(a.at) - new Date(b.at) || (a.id ?? Infinity) - (b.id ?? Infinity));
+  const running = {};
+  for (const e of entries) {
+    running[e.service_type] = (running[e.service_type] || 0) + e.qty;
+    e.balance = running[e.service_type];
+  }
+  return entries;
+}
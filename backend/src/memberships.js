@@ -1,12 +1,20 @@
 // backend/src/memberships.js
 import express from "express";
 import Stripe from "stripe";
-import { pool, hasExistingCustomer } from "./db.js";
+import { pool, accountPostcode } from "./db.js";
+import { authMiddleware } from "./auth.js";
+import { introEligible, recordIntroRedemption } from "./intro.js";
+import { inServiceArea } from "./area.js";
+import { getConfig } from "./config.js";
+import {
+  grantMembershipCredits, tierCredits, openLots, MEMBERSHIP_REASONS, exchangeCredits, convertMembershipCredits,
+  creditBalances, shiftExpiry, creditPolicy, revokeInvoiceCredits,
+} from "./ledger.js";
+import { notifyCustomer } from "./notify.js";
 
 const router = express.Router();
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
-const WEBHOOK_SECRET = (process.env.STRIPE_WEBHOOK_SECRET_MEMBERSHIPS || "").trim();
 
 const STANDARD_PRICE = (process.env.STANDARD_PRICE || "").trim();
 const PREMIUM_PRICE  = (process.env.PREMIUM_PRICE  || "").trim();
@@ -17,6 +25,14 @@ const APP_ORIGIN =
     process.env.FRONTEND_PUBLIC_URL ||
     "https://book.gmautodetailing.uk").replace(/\/+$/, "");
 
+export async function initMemberships() {
+  // A paused membership: Stripe voids its invoices until resumes_at (pause_collection).
+  await pool.query(`ALTER TABLE public.subscriptions ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;`);
+  await pool.query(`ALTER TABLE public.subscriptions ADD COLUMN IF NOT EXISTS resumes_at TIMESTAMPTZ;`);
+  // First failed payment of the current dunning run; cleared by the next paid invoice.
+  await pool.query(`ALTER TABLE public.subscriptions ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMPTZ;`);
+}
+
 /* --------------------------- helpers --------------------------- */
 const safe = (s) => (s ?? "").toString().trim();
 const normEmail = (s) => safe(s).toLowerCase();
@@ -34,21 +50,19 @@ function tierFromPriceId(priceId) {
   return null;
 }
 
-async function ensureProcessedEvent(eventId) {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS public.processed_events (
-      id text PRIMARY KEY,
-      created_at timestamptz DEFAULT now()
-    )
-  `);
-  try {
-    await pool.query(`INSERT INTO public.processed_events (id) VALUES ($1)`, [eventId]);
-    return true; // first time processed
-  } catch {
-    return false; // already processed
-  }
+// The user's current membership row (active, trialing or past due), or null.
+async function currentSubscription(userId) {
+  const r = await pool.query(
+    `SELECT id, tier, stripe_subscription_id, paused_at, resumes_at FROM public.subscriptions
+      WHERE user_id=$1 AND status IN ('active','trialing','past_due') AND stripe_subscription_id IS NOT NULL
+      ORDER BY updated_at DESC NULLS LAST LIMIT 1`,
+    [userId]
+  );
+  return r.rows[0] || null;
 }
 
+const isPaused = (sub) => !!sub?.paused_at && (!sub.resumes_at || new Date(sub.resumes_at).getTime() > Date.now());
+
 async function resolveUserId({ userId, email }) {
   if (userId) {
     const r = await pool.query(`SELECT id FROM public.users WHERE id=$1`, [userId]);
@@ -61,8 +75,8 @@ async function resolveUserId({ userId, email }) {
   return null;
 }
 
-async function upsertSubscription({ user_id, tier, stripe_sub_id, status, current_period_start, current_period_end }) {
-  await pool.query(`
+async function upsertSubscription({ user_id, tier, stripe_sub_id, status, current_period_start, current_period_end }, db = pool) {
+  await db.query(`
     CREATE TABLE IF NOT EXISTS public.subscriptions(
       id serial PRIMARY KEY,
       user_id integer NOT NULL,
@@ -76,7 +90,7 @@ async function upsertSubscription({ user_id, tier, stripe_sub_id, status, curren
     )
   `);
 
-  await pool.query(`
+  await db.query(`
     INSERT INTO public.subscriptions (user_id, tier, status, stripe_subscription_id, current_period_start, current_period_end, updated_at)
     VALUES ($1,$2,$3,$4, to_timestamp($5), to_timestamp($6), now())
     ON CONFLICT (stripe_subscription_id) DO UPDATE SET
@@ -93,55 +107,67 @@ async function upsertSubscription({ user_id, tier, stripe_sub_id, status, curren
   ]);
 }
 
-async function awardMembershipCreditsOnce({ event_id, user_id, tier }) {
-  const first = await ensureProcessedEvent(event_id);
-  if (!first) {
-    console.log(`[memberships] skip awarding (already processed) event=${event_id}`);
-    return;
+/**
+ * Record that a subscription moved from `from_tier` to `tier` and convert the membership credits
+ * left, in one transaction. Used by /change-tier and by customer.subscription.updated, so
+ * whichever runs second (or a retry) finds the credits already converted.
+ */
+async function applyTierChange({ user_id, from_tier, tier, sub }) {
+  const row = {
+    user_id,
+    tier,
+    stripe_sub_id: sub.id,
+    status: sub.status || "active",
+    current_period_start: sub.current_period_start || null,
+    current_period_end:   sub.current_period_end   || null,
+  };
+  const from = tierCredits(from_tier);
+  const to = tierCredits(tier);
+  if (!from || !to) {
+    await upsertSubscription(row);
+    return { from: 0, to: 0 };
   }
+  return convertMembershipCredits(
+    { user_id, from: from.service_type, to: to.service_type },
+    (db) => upsertSubscription(row, db)
+  );
+}
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS public.credit_ledger(
-      id serial PRIMARY KEY,
-      user_id integer NOT NULL,
-      service_type text NOT NULL,  -- 'exterior' | 'full'
-      qty integer NOT NULL,
-      valid_until timestamptz NULL,
-      created_at timestamptz DEFAULT now()
-    )
-  `);
-
-  let service_type = null;
-  let qty = 2;
-  if (tier === "standard") service_type = "exterior";
-  if (tier === "premium")  service_type = "full";
-  if (!service_type) {
+// Credits for one paid membership invoice; a second call for the same invoice is a no-op (ledger.js).
+async function awardMembershipCredits({ user_id, tier, stripe_invoice_id = null }) {
+  // Expiry, grace and rollover follow config.credit_policy[tier]
+  const t = tierCredits(tier);
+  const lot = await grantMembershipCredits({ user_id, tier, stripe_invoice_id });
+  if (!lot) {
     console.warn(`[memberships] unknown tier when awarding credits: ${tier}`);
     return;
   }
+  if (lot.existing) {
+    console.log(`[memberships] invoice ${stripe_invoice_id} already awarded: user=${user_id}`);
+    return;
+  }
 
-  await pool.query(
-    `INSERT INTO public.credit_ledger (user_id, service_type, qty, valid_until) VALUES ($1,$2,$3,NULL)`,
-    [user_id, service_type, qty]
-  );
-
-  console.log(`[memberships] credits awarded: user=${user_id} tier=${tier} -> +${qty} ${service_type}`);
+  console.log(`[memberships] credits awarded: user=${user_id} tier=${tier} -> +${t.qty} ${t.service_type} until ${lot.valid_until?.toISOString?.() || "no expiry"}`);
 }
 
 /* --------------------- public: subscribe & portal --------------------- */
 
 /**
  * POST /api/memberships/subscribe
- * Body: { tier: 'standard'|'premium', customer:{email,name,phone,street,postcode}, origin?, first_time? }
+ * Body: { tier: 'standard'|'premium', customer:{email,name,phone,street,postcode}, origin? }
+ * Auth: Bearer (authMiddleware); required for the intro coupon.
  *
- * - Applies INTRO_COUPON to the Checkout Session **only if** the customer is first-time.
+ * - Applies INTRO_COUPON to the Checkout Session **only if** the server finds the customer eligible (intro.js).
  * - Adds metadata (user_id, tier, email) to session & subscription so webhooks can award credits.
  */
-router.post("/subscribe", express.json(), async (req, res) => {
+router.post("/subscribe", express.json(), authMiddleware, async (req, res) => {
   try {
-    const { tier, customer, origin, first_time } = req.body || {};
+    const { tier, customer, origin } = req.body || {};
     const email = normEmail(customer?.email || "");
     if (!tier || !email) return res.status(400).json({ ok:false, error: "missing_fields" });
+    // A signed-in customer is checked on the postcode of their account.
+    const postcode = req.user?.id ? await accountPostcode(req.user.id, customer?.postcode) : safe(customer?.postcode);
+    if (!inServiceArea(postcode)) return res.status(400).json({ ok:false, error: "outside_service_area" });
 
     const price = priceForTier(tier);
     if (!price) return res.status(500).json({ ok:false, error:"price_not_configured" });
@@ -150,28 +176,19 @@ router.post("/subscribe", express.json(), async (req, res) => {
     try { base = new URL(origin || APP_ORIGIN).origin; }
     catch { base = APP_ORIGIN; }
 
-    // Resolve user_id (if already registered)
-    let userId = null;
-    try {
-      const r = await pool.query(`SELECT id FROM public.users WHERE lower(email)=lower($1)`, [email]);
-      if (r.rowCount) userId = r.rows[0].id;
-    } catch {}
-
-    // Determine if coupon applies
-    let applyCoupon = false;
-    if (INTRO_COUPON) {
-      if (typeof first_time === "boolean") {
-        applyCoupon = first_time;
-      } else {
-        // Server-side check using your customer record
-        applyCoupon = !(await hasExistingCustomer({
-          email,
-          phone: safe(customer?.phone),
-          street: safe(customer?.street),
-        }));
-      }
+    // Resolve user_id (the logged-in user, else by email if already registered)
+    let userId = req.user?.id || null;
+    if (!userId) {
+      try {
+        const r = await pool.query(`SELECT id FROM public.users WHERE lower(email)=lower($1)`, [email]);
+        if (r.rowCount) userId = r.rows[0].id;
+      } catch {}
     }
 
+    // Intro coupon only for a logged-in customer the server finds eligible
+    const applyCoupon = !!INTRO_COUPON && !!req.user?.id &&
+      (await introEligible("membership", { user_id: req.user.id, customer: customer || {} }));
+
     const sessionParams = {
       mode: "subscription",
       line_items: [{ price, quantity: 1 }],
@@ -182,7 +199,11 @@ router.post("/subscribe", express.json(), async (req, res) => {
         app: "gm",
         tier,
         user_id: userId ? String(userId) : "",
-        email
+        email,
+        intro: applyCoupon ? "1" : "",
+        phone: safe(customer?.phone),
+        street: safe(customer?.street),
+        postcode
       },
       subscription_data: {
         metadata: {
@@ -212,6 +233,138 @@ router.post("/subscribe", express.json(), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/memberships/change-tier
+ * Body: { tier: 'standard'|'premium', preview?: boolean }   Auth: Bearer
+ *
+ * Switches the active subscription to the other tier's price; Stripe prorates the rest of the
+ * billing period on the next invoice. Membership credits left convert to the new tier's service
+ * by config.credit_exchange. With preview: true nothing changes and the conversion is returned.
+ */
+router.post("/change-tier", express.json(), authMiddleware, async (req, res) => {
+  try {
+    if (!req.user?.id) return res.status(401).json({ ok:false, error:"auth_required" });
+    const tier = safe(req.body?.tier);
+    const price = priceForTier(tier);
+    const to = tierCredits(tier);
+    if (!to) return res.status(400).json({ ok:false, error:"invalid_tier" });
+    if (!price) return res.status(500).json({ ok:false, error:"price_not_configured" });
+
+    const current = await currentSubscription(req.user.id);
+    if (!current) return res.status(404).json({ ok:false, error:"no_subscription" });
+    if (current.tier === tier) return res.status(400).json({ ok:false, error:"same_tier" });
+
+    const from = tierCredits(current.tier);
+    const left = from
+      ? (await openLots(req.user.id, { service_type: from.service_type, reasons: MEMBERSHIP_REASONS }))
+          .reduce((n, l) => n + l.remaining, 0)
+      : 0;
+    const conversion = {
+      from: { service_type: from?.service_type || null, qty: left },
+      to: { service_type: to.service_type, qty: from ? exchangeCredits(left, from.service_type, to.service_type) : 0 },
+    };
+    if (req.body?.preview) {
+      return res.json({ ok:true, preview: { from_tier: current.tier, to_tier: tier, conversion } });
+    }
+
+    const sub = await stripe.subscriptions.retrieve(current.stripe_subscription_id);
+    const item = sub?.items?.data?.[0];
+    if (!item) return res.status(409).json({ ok:false, error:"no_subscription" });
+    // Already on the new price: an earlier attempt moved it in Stripe but stopped before the
+    // credits were converted. Finish that instead of switching (and prorating) again.
+    const updated = item.price?.id === price
+      ? sub
+      : await stripe.subscriptions.update(sub.id, {
+          items: [{ id: item.id, price }],
+          proration_behavior: "create_prorations",
+          metadata: { ...(sub.metadata || {}), tier }, // webhooks read the tier from here
+        });
+
+    const converted = await applyTierChange({ user_id: req.user.id, from_tier: current.tier, tier, sub: updated });
+
+    console.log(`[memberships] user=${req.user.id} changed tier ${current.tier} -> ${tier} (credits ${converted.from} -> ${converted.to})`);
+    return res.json({
+      ok: true,
+      tier,
+      converted: {
+        from: { service_type: from?.service_type || null, qty: converted.from },
+        to: { service_type: to.service_type, qty: converted.to },
+      },
+      credits: await creditBalances(req.user.id),
+    });
+  } catch (e) {
+    console.error("[memberships/change-tier] failed:", e?.message || e);
+    return res.status(500).json({ ok:false, error:"change_failed" });
+  }
+});
+
+/**
+ * POST /api/memberships/pause
+ * Body: { resume_date: 'YYYY-MM-DD' }   Auth: Bearer
+ *
+ * Stops billing until resume_date (at most config.membership_pause.max_days away). No cycle
+ * credits are granted meanwhile, and the expiry of credits already held moves out by the pause.
+ */
+router.post("/pause", express.json(), authMiddleware, async (req, res) => {
+  try {
+    if (!req.user?.id) return res.status(401).json({ ok:false, error:"auth_required" });
+    const sub = await currentSubscription(req.user.id);
+    if (!sub) return res.status(404).json({ ok:false, error:"no_subscription" });
+    if (isPaused(sub)) return res.status(409).json({ ok:false, error:"already_paused" });
+
+    const { max_days } = getConfig().membership_pause;
+    const resumes = Date.parse(`${safe(req.body?.resume_date)}T00:00:00Z`);
+    const now = Date.now();
+    if (Number.isNaN(resumes) || resumes <= now || resumes - now > max_days * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ ok:false, error:"invalid_resume_date", max_days });
+    }
+
+    await stripe.subscriptions.update(sub.stripe_subscription_id, {
+      pause_collection: { behavior: "void", resumes_at: Math.floor(resumes / 1000) },
+    });
+    const paused_at = new Date(now);
+    await pool.query(
+      `UPDATE public.subscriptions SET paused_at=$2, resumes_at=$3, updated_at=now() WHERE id=$1`,
+      [sub.id, paused_at, new Date(resumes)]
+    );
+    await shiftExpiry(req.user.id, { at: paused_at, ms: resumes - now });
+
+    console.log(`[memberships] user=${req.user.id} paused until ${new Date(resumes).toISOString()}`);
+    return res.json({ ok:true, paused_at, resumes_at: new Date(resumes) });
+  } catch (e) {
+    console.error("[memberships/pause] failed:", e?.message || e);
+    return res.status(500).json({ ok:false, error:"pause_failed" });
+  }
+});
+
+/**
+ * POST /api/memberships/resume
+ * Auth: Bearer. Ends a pause early: billing restarts now and credits keep only the time
+ * they were actually paused.
+ */
+router.post("/resume", express.json(), authMiddleware, async (req, res) => {
+  try {
+    if (!req.user?.id) return res.status(401).json({ ok:false, error:"auth_required" });
+    const sub = await currentSubscription(req.user.id);
+    if (!sub) return res.status(404).json({ ok:false, error:"no_subscription" });
+    if (!isPaused(sub)) return res.status(409).json({ ok:false, error:"not_paused" });
+
+    await stripe.subscriptions.update(sub.stripe_subscription_id, { pause_collection: "" });
+    await pool.query(
+      `UPDATE public.subscriptions SET paused_at=NULL, resumes_at=NULL, updated_at=now() WHERE id=$1`,
+      [sub.id]
+    );
+    const unused = new Date(sub.resumes_at).getTime() - Date.now();
+    if (unused > 0) await shiftExpiry(req.user.id, { at: sub.paused_at, ms: -unused });
+
+    console.log(`[memberships] user=${req.user.id} resumed`);
+    return res.json({ ok:true, credits: await creditBalances(req.user.id) });
+  } catch (e) {
+    console.error("[memberships/resume] failed:", e?.message || e);
+    return res.status(500).json({ ok:false, error:"resume_failed" });
+  }
+});
+
 /**
  * POST /api/memberships/portal
  * Body: none (user derived from token by your /auth/me usage in FE)
@@ -238,92 +391,186 @@ router.post("/portal", express.json(), async (req, res) => {
   }
 });
 
-/* ------------------------- webhook: memberships ------------------------ */
+/* -------------------- Stripe events: memberships -------------------- */
+// Registered with the event pipeline in stripeHandlers.js.
 
-export async function handleMembershipWebhook(req, res) {
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, req.headers["stripe-signature"], WEBHOOK_SECRET);
-  } catch (err) {
-    console.error("[webhooks/memberships] signature verification failed:", err?.message || err);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+// The account a Stripe subscription belongs to: its metadata, else the row we already have.
+async function userForSubscription(sub) {
+  const fromMeta = await resolveUserId({ userId: safe(sub?.metadata?.user_id), email: "" });
+  if (fromMeta) return fromMeta;
+  const r = await pool.query(`SELECT user_id FROM public.subscriptions WHERE stripe_subscription_id=$1`, [sub.id]);
+  return r.rows[0]?.user_id || null;
+}
+
+/** customer.subscription.updated / .deleted: mirror status, tier, period and pause state. */
+export async function syncSubscription(sub) {
+  const user_id = await userForSubscription(sub);
+  const tier = safe(sub?.metadata?.tier) || tierFromPriceId(sub?.items?.data?.[0]?.price?.id) || null;
+  if (!user_id || !tier) {
+    console.warn(`[webhooks/memberships] cannot sync subscription ${sub?.id}`);
+    return;
+  }
+  const known = await pool.query(`SELECT tier FROM public.subscriptions WHERE stripe_subscription_id=$1`, [sub.id]);
+  const was = known.rows[0]?.tier;
+  if (was && was !== tier && sub.status !== "canceled") {
+    // Tier changed in Stripe before (or without) our /change-tier finishing: convert here.
+    const c = await applyTierChange({ user_id, from_tier: was, tier, sub });
+    console.log(`[webhooks/memberships] tier ${was} -> ${tier} for user=${user_id} (credits ${c.from} -> ${c.to})`);
+  } else {
+    await upsertSubscription({
+      user_id,
+      tier,
+      stripe_sub_id: sub.id,
+      status: sub.status || "canceled",
+      current_period_start: sub.current_period_start || null,
+      current_period_end:   sub.current_period_end   || null,
+    });
+  }
+  // Cancelled (e.g. after dunning ran out): nothing is owed any more, so nothing stays on hold.
+  if (sub.status === "canceled") {
+    await pool.query(
+      `UPDATE public.subscriptions SET payment_failed_at=NULL
+        WHERE stripe_subscription_id=$1 AND payment_failed_at IS NOT NULL`,
+      [sub.id]
+    );
   }
+  // Resumed in Stripe (on its date or from the portal): clear our pause.
+  if (!sub.pause_collection) {
+    await pool.query(
+      `UPDATE public.subscriptions SET paused_at=NULL, resumes_at=NULL
+        WHERE stripe_subscription_id=$1 AND paused_at IS NOT NULL`,
+      [sub.id]
+    );
+  }
+  console.log(`[webhooks/memberships] subscription ${sub.id} user=${user_id} ${tier} ${sub.status}`);
+}
 
-  const type = event.type;
-  console.log("[webhooks/memberships] received:", type);
+/**
+ * invoice.payment_failed: mark the membership past due and tell the customer on the first
+ * failure. Membership credits go on hold once the tier's payment_grace_days have passed (ledger.js).
+ */
+export async function paymentFailed(inv) {
+  const subId = safe(inv?.subscription);
+  if (!subId) return;
+  const r = await pool.query(
+    `UPDATE public.subscriptions
+        SET status='past_due', updated_at=now(), payment_failed_at=COALESCE(payment_failed_at, now())
+      WHERE stripe_subscription_id=$1
+      RETURNING user_id, tier, payment_failed_at = now() AS first_failure`,
+    [subId]
+  );
+  const sub = r.rows[0];
+  if (!sub) {
+    console.warn(`[webhooks/memberships] payment failed for unknown subscription ${subId}`);
+    return;
+  }
+  console.warn(`[webhooks/memberships] payment failed: user=${sub.user_id} subscription=${subId}`);
+  if (!sub.first_failure) return; // already told about this one
+
+  const to = normEmail(inv.customer_email || "") ||
+    (await pool.query(`SELECT email FROM public.users WHERE id=$1`, [sub.user_id])).rows[0]?.email;
+  if (!to) return;
+  const days = creditPolicy(sub.tier).payment_grace_days || 0;
+  await notifyCustomer({
+    kind: "payment_failed",
+    to,
+    subject: "Your GM Auto Detailing membership payment failed",
+    text:
+      `We couldn't take your membership payment.\n` +
+      `Please update your card${inv.hosted_invoice_url ? ` and pay here: ${inv.hosted_invoice_url}` : " from your account page"}.\n` +
+      (days ? `Your membership credits stay usable for ${days} more days; after that they are on hold until the payment goes through.` : ""),
+  });
+}
 
-  try {
-    if (type === "checkout.session.completed") {
-      const sess = event.data.object;
-      if (sess?.mode === "subscription") {
-        const md = sess.metadata || {};
-        const subId = safe(sess.subscription);
-        const email = normEmail(md.email || sess.customer_details?.email || sess.customer_email || "");
-
-        let sub = null;
-        if (subId) {
-          sub = await stripe.subscriptions.retrieve(subId, { expand: ["items.data.price.product"] });
-        }
+/** checkout.session.completed (subscription mode): record the membership and its first credits. */
+export async function membershipCheckoutCompleted(sess) {
+  if (sess?.mode !== "subscription") return;
 
-        const subMd = sub?.metadata || {};
-        const metaTier = safe(md.tier || subMd.tier);
-        const tier = metaTier || tierFromPriceId(sub?.items?.data?.[0]?.price?.id) || null;
-
-        const user_id = await resolveUserId({ userId: safe(md.user_id || subMd.user_id), email });
-
-        if (user_id && tier) {
-          await upsertSubscription({
-            user_id,
-            tier,
-            stripe_sub_id: sub?.id || subId || "",
-            status: sub?.status || "active",
-            current_period_start: sub?.current_period_start || null,
-            current_period_end:   sub?.current_period_end   || null,
-          });
-
-          // Award initial credits; independent of coupon/discounts
-          await awardMembershipCreditsOnce({ event_id: event.id, user_id, tier });
-        } else {
-          console.warn("[webhooks/memberships] unable to resolve user/tier on checkout.session.completed");
-        }
-      }
-    }
+  const md = sess.metadata || {};
+  const subId = safe(sess.subscription);
+  const email = normEmail(md.email || sess.customer_details?.email || sess.customer_email || "");
 
-    if (type === "invoice.payment_succeeded") {
-      const inv = event.data.object;
-      if (inv?.billing_reason === "subscription_cycle" || inv?.billing_reason === "subscription_create") {
-        const subId = safe(inv.subscription);
-        let sub = null;
-        if (subId) sub = await stripe.subscriptions.retrieve(subId);
-
-        const email = normEmail(inv.customer_email || "");
-        const tier = safe(sub?.metadata?.tier) || tierFromPriceId(sub?.items?.data?.[0]?.price?.id) || null;
-
-        const user_id = await resolveUserId({ userId: safe(sub?.metadata?.user_id), email });
-
-        if (user_id && tier) {
-          await upsertSubscription({
-            user_id,
-            tier,
-            stripe_sub_id: sub?.id || subId,
-            status: sub?.status || "active",
-            current_period_start: sub?.current_period_start || null,
-            current_period_end:   sub?.current_period_end   || null,
-          });
-
-          // Award cycle credits; independent of coupon/discounts
-          await awardMembershipCreditsOnce({ event_id: event.id, user_id, tier });
-        } else {
-          console.warn("[webhooks/memberships] unable to resolve user/tier on invoice.payment_succeeded");
-        }
-      }
-    }
-  } catch (err) {
-    console.error("[webhooks/memberships] handler error:", err?.message || err);
-    // Return 200 so Stripe doesn't retry endlessly on our logging errors
+  let sub = null;
+  if (subId) {
+    sub = await stripe.subscriptions.retrieve(subId, { expand: ["items.data.price.product"] });
   }
 
-  res.json({ received: true });
+  const subMd = sub?.metadata || {};
+  const metaTier = safe(md.tier || subMd.tier);
+  const tier = metaTier || tierFromPriceId(sub?.items?.data?.[0]?.price?.id) || null;
+
+  const user_id = await resolveUserId({ userId: safe(md.user_id || subMd.user_id), email });
+  if (!user_id || !tier) {
+    console.warn("[webhooks/memberships] unable to resolve user/tier on checkout.session.completed");
+    return;
+  }
+
+  await upsertSubscription({
+    user_id,
+    tier,
+    stripe_sub_id: sub?.id || subId || "",
+    status: sub?.status || "active",
+    current_period_start: sub?.current_period_start || null,
+    current_period_end:   sub?.current_period_end   || null,
+  });
+
+  // Award initial credits; independent of coupon/discounts
+  await awardMembershipCredits({ user_id, tier, stripe_invoice_id: safe(sess.invoice) || null });
+
+  if (md.intro === "1") {
+    await recordIntroRedemption("membership", {
+      user_id,
+      customer: { email, phone: md.phone, street: md.street, postcode: md.postcode },
+      stripe_session_id: sess.id,
+    });
+  }
+}
+
+/** invoice.payment_succeeded for a new or renewed membership: the cycle's credits. */
+export async function membershipInvoicePaid(inv) {
+  if (inv?.billing_reason !== "subscription_cycle" && inv?.billing_reason !== "subscription_create") return;
+
+  const subId = safe(inv.subscription);
+  let sub = null;
+  if (subId) sub = await stripe.subscriptions.retrieve(subId);
+
+  const email = normEmail(inv.customer_email || "");
+  const tier = safe(sub?.metadata?.tier) || tierFromPriceId(sub?.items?.data?.[0]?.price?.id) || null;
+
+  const user_id = await resolveUserId({ userId: safe(sub?.metadata?.user_id), email });
+  if (!user_id || !tier) {
+    console.warn("[webhooks/memberships] unable to resolve user/tier on invoice.payment_succeeded");
+    return;
+  }
+
+  await upsertSubscription({
+    user_id,
+    tier,
+    stripe_sub_id: sub?.id || subId,
+    status: sub?.status || "active",
+    current_period_start: sub?.current_period_start || null,
+    current_period_end:   sub?.current_period_end   || null,
+  });
+
+  // Award cycle credits; independent of coupon/discounts
+  // A paused membership earns no cycle credits (its invoices are voided anyway)
+  if (sub?.pause_collection) console.log(`[webhooks/memberships] paused, no credits: user=${user_id}`);
+  else await awardMembershipCredits({ user_id, tier, stripe_invoice_id: inv.id });
+}
+
+/** invoice.payment_succeeded: any paid invoice settles an earlier failure, so credits can be spent again. */
+export async function clearPaymentFailure(inv) {
+  const subId = safe(inv?.subscription);
+  if (!subId) return;
+  await pool.query(
+    `UPDATE public.subscriptions SET payment_failed_at=NULL WHERE stripe_subscription_id=$1 AND payment_failed_at IS NOT NULL`,
+    [subId]
+  );
+}
+
+/** charge.refunded: only a full refund of a membership invoice takes its credits back. */
+export async function membershipChargeRefunded(ch) {
+  if (ch?.refunded && ch.invoice) await revokeInvoiceCredits(safe(ch.invoice));
 }
 
 /* default export: router */
@@ -1,23 +1,114 @@
-
 // backend/src/my.js
 import { Router } from "express";
-import { pool } from "./db.js";
+import Stripe from "stripe";
+import { pool, cancelBooking, moveBooking } from "./db.js";
 import { authMiddleware } from "./auth.js";
+import { getConfig } from "./config.js";
+import { resolveSlot } from "./schedule.js";
+import { overlapsClosure } from "./closures.js";
+import { reverseBookingDebit } from "./credits.js";
+import { calendarKeyFor, updateCalendarEvents, deleteCalendarEvents } from "./gcal.js";
+import { qualifiedResources, calendarIdFor } from "./resources.js";
+import { slotFreed } from "./store.js";
+import vehicles from "./vehicles.js";
+import { introEligible } from "./intro.js";
+import { referralSummary } from "./referrals.js";
+import { creditBalances, creditStatement } from "./ledger.js";
+import { returnVoucher } from "./vouchers.js";
 
 const router = Router();
 router.use(authMiddleware);
 
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+/* --------------------------- helpers --------------------------- */
+async function userEmail(userId) {
+  const ur = await pool.query("SELECT email FROM public.users WHERE id=$1", [userId]);
+  return (ur.rows[0]?.email || "").toLowerCase();
+}
+
+// A booking belongs to the user if it is linked to them or was made with their email.
+async function loadOwnBooking(userId, bookingId) {
+  const email = await userEmail(userId);
+  const r = await pool.query(
+    `SELECT id, user_id, service_key, start_time, end_time, addons, vehicle_size, status, stripe_session_id, resource_id
+       FROM public.bookings
+      WHERE id = $1
+        AND (user_id = $2 OR (lower(customer_email) = $3 AND $3 <> ''))`,
+    [bookingId, userId, email]
+  );
+  return r.rows[0] || null;
+}
+
+// True while the booking is still further away than the cut-off.
+function beforeCutoff(startTime, hours) {
+  return new Date(startTime).getTime() - Date.now() > hours * 3600 * 1000;
+}
+
+function withChangeFlags(row) {
+  const { cancel_cutoff_hours, reschedule_cutoff_hours } = getConfig().booking_policy;
+  const live = row.status !== "cancelled" && row.start_time;
+  return {
+    ...row,
+    can_cancel: !!live && beforeCutoff(row.start_time, cancel_cutoff_hours),
+    can_reschedule: !!live && beforeCutoff(row.start_time, reschedule_cutoff_hours),
+  };
+}
+
+/* --------------------------- routes --------------------------- */
+
+// Saved vehicles: /api/my/vehicles
+router.use("/vehicles", vehicles);
+
+// Which intro discounts the logged-in user can still get (their own account only).
+router.get("/intro", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const [oneoff, membership] = await Promise.all([
+      introEligible("oneoff", { user_id: req.user.id }),
+      introEligible("membership", { user_id: req.user.id }),
+    ]);
+    res.json({ ok:true, oneoff, membership });
+  } catch (e) {
+    console.error("[my/intro]", e);
+    res.status(500).json({ ok:false, error:"intro_failed" });
+  }
+});
+
+// Referral code, referred customers and credits earned
+router.get("/referrals", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    res.json({ ok:true, ...(await referralSummary(req.user.id)) });
+  } catch (e) {
+    console.error("[my/referrals]", e);
+    res.status(500).json({ ok:false, error:"referrals_failed" });
+  }
+});
+
+// Credit statement: every grant, debit, expiry and adjustment with its running balance
+router.get("/credits", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const [balances, entries] = await Promise.all([creditBalances(req.user.id), creditStatement(req.user.id)]);
+    // who made a hand adjustment, and the other side of a transfer, stay admin-only
+    res.json({ ok:true, balances, entries: entries.map(({ admin, counterparty_user_id, ...e }) => e) });
+  } catch (e) {
+    console.error("[my/credits]", e);
+    res.status(500).json({ ok:false, error:"credits_failed" });
+  }
+});
+
 // Recent bookings for the logged-in user
 router.get("/bookings", async (req, res) => {
   try {
     if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
 
     const lim = Math.max(1, Math.min(50, Number(req.query.limit) || 10));
-    const ur = await pool.query("SELECT email FROM public.users WHERE id=$1", [req.user.id]);
-    const email = (ur.rows[0]?.email || "").toLowerCase();
+    const email = await userEmail(req.user.id);
 
     const r = await pool.query(
-      `SELECT id, service_key, start_time, end_time, addons, created_at
+      `SELECT id, service_key, start_time, end_time, addons, vehicle_size, status, customer_postcode, created_at
          FROM public.bookings
         WHERE user_id = $1
            OR (lower(customer_email) = $2 AND $2 <> '')
@@ -25,7 +116,7 @@ router.get("/bookings", async (req, res) => {
         LIMIT $3`,
       [req.user.id, email, lim]
     );
-    res.json({ ok:true, rows: r.rows || [] });
+    res.json({ ok:true, rows: (r.rows || []).map(withChangeFlags) });
   } catch (e) {
     console.error("[my/bookings]", e);
     res.status(500).json({ ok:false, error:"my_bookings_failed" });
@@ -37,24 +128,130 @@ router.get("/bookings/upcoming", async (req, res) => {
   try {
     if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
 
-    const ur = await pool.query("SELECT email FROM public.users WHERE id=$1", [req.user.id]);
-    const email = (ur.rows[0]?.email || "").toLowerCase();
+    const email = await userEmail(req.user.id);
 
     const q = `
-      SELECT id, service_key, start_time, end_time, addons
+      SELECT id, service_key, start_time, end_time, addons, vehicle_size, status, customer_postcode
         FROM public.bookings
        WHERE (user_id = $1 OR (lower(customer_email) = $2 AND $2 <> ''))
          AND start_time IS NOT NULL
          AND start_time > now()
+         AND status IS DISTINCT FROM 'cancelled'
        ORDER BY start_time ASC
        LIMIT 1
     `;
     const r = await pool.query(q, [req.user.id, email]);
-    res.json({ ok:true, booking: r.rows[0] || null });
+    res.json({ ok:true, booking: r.rows[0] ? withChangeFlags(r.rows[0]) : null });
   } catch (e) {
     console.error("[my/bookings/upcoming]", e);
     res.status(500).json({ ok:false, error:"upcoming_failed" });
   }
 });
 
+/**
+ * POST /api/my/bookings/:id/cancel
+ * Credit bookings get their credit back; one-off bookings are refunded through Stripe, and
+ * whatever a gift voucher paid goes back onto the voucher.
+ */
+router.post("/bookings/:id/cancel", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+
+    const bk = await loadOwnBooking(req.user.id, Number(req.params.id));
+    if (!bk) return res.status(404).json({ ok:false, error:"not_found" });
+    if (bk.status === "cancelled") return res.status(409).json({ ok:false, error:"already_cancelled" });
+    if (!beforeCutoff(bk.start_time, getConfig().booking_policy.cancel_cutoff_hours)) {
+      return res.status(400).json({ ok:false, error:"cutoff_passed" });
+    }
+
+    // Refund first: if Stripe refuses, the booking stays as it was.
+    let refunded = false;
+    if (bk.stripe_session_id) {
+      const sess = await stripe.checkout.sessions.retrieve(bk.stripe_session_id);
+      if (sess?.payment_intent) {
+        await stripe.refunds.create(
+          { payment_intent: String(sess.payment_intent), metadata: { booking_id: String(bk.id), reason: "customer_cancelled" } },
+          { idempotencyKey: `cancel:${bk.id}` }
+        );
+        refunded = true;
+      }
+    }
+
+    const row = await cancelBooking(bk.id);
+    if (!row) return res.status(409).json({ ok:false, error:"already_cancelled" });
+
+    const credits_restored = await reverseBookingDebit(bk.id);
+    const voucher = await returnVoucher(bk.stripe_session_id);
+    slotFreed({ start: bk.start_time, end: bk.end_time });
+
+    try {
+      await deleteCalendarEvents(calendarKeyFor(bk), 1, await calendarIdFor(bk.resource_id));
+    } catch (e) {
+      console.warn("[gcal] delete events failed", e?.message || e);
+    }
+
+    console.log(`[my/cancel] booking=${bk.id} user=${req.user.id} refunded=${refunded} credits=${credits_restored} voucher=${voucher?.amount || 0}`);
+    res.json({ ok:true, cancelled:true, refunded, credits_restored, voucher_restored: voucher });
+  } catch (e) {
+    console.error("[my/bookings/cancel]", e);
+    res.status(500).json({ ok:false, error:"cancel_failed" });
+  }
+});
+
+/**
+ * POST /api/my/bookings/:id/reschedule
+ * Body: { slot: { start_iso } }  — the end is derived by the schedule.
+ */
+router.post("/bookings/:id/reschedule", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+
+    const bk = await loadOwnBooking(req.user.id, Number(req.params.id));
+    if (!bk) return res.status(404).json({ ok:false, error:"not_found" });
+    if (bk.status === "cancelled") return res.status(409).json({ ok:false, error:"already_cancelled" });
+    if (!beforeCutoff(bk.start_time, getConfig().booking_policy.reschedule_cutoff_hours)) {
+      return res.status(400).json({ ok:false, error:"cutoff_passed" });
+    }
+
+    const resolved = resolveSlot({
+      service_key: bk.service_key,
+      addons: bk.addons || [],
+      size: bk.vehicle_size,
+      start_iso: req.body?.slot?.start_iso,
+      resources: await qualifiedResources(bk.service_key),
+    });
+    if (!resolved.ok) return res.status(400).json({ ok:false, error: resolved.error });
+    if (await overlapsClosure(resolved.start_iso, resolved.end_iso)) {
+      return res.status(409).json({ ok:false, error:"slot_taken" });
+    }
+
+    let row;
+    try {
+      row = await moveBooking(bk.id, resolved.start_iso, resolved.end_iso, resolved.resource_ids);
+    } catch (e) {
+      if (e?.code !== "slot_taken") throw e;
+      return res.status(409).json({ ok:false, error:"slot_taken" });
+    }
+
+    slotFreed({ start: bk.start_time, end: bk.end_time });
+
+    try {
+      await updateCalendarEvents(
+        calendarKeyFor(bk),
+        [{ start_iso: resolved.start_iso, end_iso: resolved.end_iso }],
+        await calendarIdFor(row.resource_id),
+        await calendarIdFor(bk.resource_id)
+      );
+    } catch (e) {
+      console.warn("[gcal] update events failed", e?.message || e);
+    }
+
+    console.log(`[my/reschedule] booking=${bk.id} user=${req.user.id} → ${resolved.start_iso}`);
+    res.json({ ok:true, booking: withChangeFlags(row) });
+  } catch (e) {
+    console.error("[my/bookings/reschedule]", e);
+    res.status(500).json({ ok:false, error:"reschedule_failed" });
+  }
+});
+
 export default router;
@@ -0,0 +1,32 @@
+// backend/src/notify.js
+
+/**
+ * Customer notifications (waitlist offers, payment problems, …).
+ * Messages are POSTed as JSON to NOTIFY_WEBHOOK_URL (an email/SMS relay);
+ * without it they are only logged, so local runs never send anything.
+ */
+const WEBHOOK_URL = (process.env.NOTIFY_WEBHOOK_URL || "").trim();
+
+/**
+ * @param {{ to: string, subject: string, text: string, kind?: string }} msg
+ * Best-effort: never throws. Returns true when the relay accepted the message.
+ */
+export async function notifyCustomer({ to, subject, text, kind = "general" }) {
+  if (!to) return false;
+  if (!WEBHOOK_URL) {
+    console.log(`[notify] (not configured) ${kind} → ${to}: ${subject}`);
+    return false;
+  }
+  try {
+    const r = await fetch(WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ to, subject, text, kind }),
+    });
+    if (!r.ok) console.warn(`[notify] relay answered ${r.status} for ${kind} → ${to}`);
+    return r.ok;
+  } catch (e) {
+    console.warn("[notify] send failed", e?.message || e);
+    return false;
+  }
+}
@@ -0,0 +1,113 @@
+// backend/src/packs.js
+import express from "express";
+import Stripe from "stripe";
+import { pool } from "./db.js";
+import { authMiddleware } from "./auth.js";
+import { getConfig } from "./config.js";
+import { grantCredits } from "./ledger.js";
+
+/**
+ * Prepaid credit packs: a one-off Stripe payment for N credits of a service, no subscription.
+ * Packs are configured in config.credit_packs ({ name, service_type, qty, price, valid_days }).
+ * The paid session writes one credit_ledger grant carrying the session id, so the credits
+ * are spent through /api/credits/book-with-credit like membership credits.
+ */
+
+const router = express.Router();
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const APP_ORIGIN =
+  (process.env.PUBLIC_APP_ORIGIN ||
+    process.env.FRONTEND_PUBLIC_URL ||
+    "https://book.gmautodetailing.uk").replace(/\/+$/, "");
+
+const safe = (s) => (s ?? "").toString().trim();
+
+export async function initPacks() {
+  await pool.query(`ALTER TABLE public.credit_ledger ADD COLUMN IF NOT EXISTS stripe_session_id TEXT;`);
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS credit_session_idx
+      ON public.credit_ledger (stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+  `);
+}
+
+function listPacks() {
+  return Object.entries(getConfig().credit_packs || {}).map(([key, p]) => ({ key, ...p }));
+}
+
+/**
+ * Grant the credits bought by a completed Checkout Session (kind 'credit_pack').
+ * Idempotent per session.
+ */
+export async function grantCreditPack(s) {
+  const md = s.metadata || {};
+  if (md.kind !== "credit_pack") return;
+
+  const pack = getConfig().credit_packs?.[md.pack_key];
+  const user_id = Number(md.user_id);
+  if (!pack || !Number.isInteger(user_id)) {
+    console.warn(`[packs] cannot grant pack=${md.pack_key} user=${md.user_id} session=${s.id}`);
+    return;
+  }
+
+  const lot = await grantCredits({
+    user_id, service_type: pack.service_type, qty: pack.qty, reason: "credit_pack",
+    valid_days: pack.valid_days, stripe_session_id: s.id,
+  });
+  if (lot) console.log(`[packs] granted ${pack.qty} ${pack.service_type} to user=${user_id} session=${s.id}`);
+}
+
+/* --------------------------- routes --------------------------- */
+
+// GET /api/packs — packs on sale
+router.get("/", (_req, res) => {
+  res.json({ ok: true, currency: getConfig().currency, packs: listPacks() });
+});
+
+/**
+ * POST /api/packs/checkout
+ * Body: { pack_key, origin? }   Auth: Bearer (the credits go to this account)
+ */
+router.post("/checkout", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user?.id) return res.status(401).json({ ok: false, error: "auth_required" });
+    const { pack_key, origin } = req.body || {};
+    const pack = getConfig().credit_packs?.[pack_key];
+    if (!pack) return res.status(400).json({ ok: false, error: "invalid_pack" });
+
+    let base;
+    try { base = new URL(origin || APP_ORIGIN).origin; }
+    catch { base = APP_ORIGIN; }
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      customer_email: req.user.email || undefined,
+      line_items: [{
+        price_data: {
+          currency: getConfig().currency,
+          product_data: { name: pack.name, description: `Valid for ${pack.valid_days} days` },
+          unit_amount: Math.round(pack.price * 100),
+        },
+        quantity: 1,
+      }],
+      success_url: `${base}/account.html?pack=1`,
+      cancel_url: `${base}/account.html`,
+      metadata: {
+        app: "gm",
+        kind: "credit_pack",
+        pack_key,
+        user_id: String(req.user.id),
+        email: safe(req.user.email).toLowerCase(),
+      },
+    });
+
+    console.log(`[packs] checkout ${pack_key} for user=${req.user.id}`);
+    res.json({ ok: true, url: session.url });
+  } catch (e) {
+    console.error("[packs/checkout]", e?.message || e);
+    res.status(500).json({ ok: false, error: "session_failed" });
+  }
+});
+
+export default router;
@@ -1,7 +1,24 @@
 // backend/src/payments.js
 import express from "express";
 import Stripe from "stripe";
-import { pool, hasExistingCustomer } from "./db.js";
+import { pool, saveBooking, findBookingBySession, accountPostcode } from "./db.js";
+import { getConfig } from "./config.js";
+import { resolveSlot, serviceDuration, cleanAddons } from "./schedule.js";
+import { overlapsClosure } from "./closures.js";
+import { inServiceArea } from "./area.js";
+import { vehicleSize, sizeName } from "./sizes.js";
+import { findVehicle } from "./vehicles.js";
+import { createHold, extendHold, restoreHold, attachHoldSession, releaseHold, cleanupExpiredHolds } from "./store.js";
+import { useClaim } from "./waitlist.js";
+import { createCalendarEvents, bookingEventItem } from "./gcal.js";
+import { qualifiedResources, calendarIdFor } from "./resources.js";
+import { buildQuote } from "./quote.js";
+import { recordIntroRedemption } from "./intro.js";
+import { reservePromo, attachPromoSession, cancelPromoReservation, confirmPromo, releasePromo } from "./promos.js";
+import { reserveVoucher, confirmVoucher, releaseVoucher } from "./vouchers.js";
+import { trackReferral } from "./referrals.js";
+import { authMiddleware } from "./auth.js";
+import { mountStripeWebhooks } from "./webhooks.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
 
@@ -10,14 +27,8 @@ const APP_ORIGIN =
     process.env.FRONTEND_PUBLIC_URL ||
     "https://book.gmautodetailing.uk").replace(/\/+$/, "");
 
-const WEBHOOK_SECRET = (process.env.STRIPE_WEBHOOK_SECRET || "").trim();
-
 const PRICE_EXT   = (process.env.ONEOFF_EXTERIOR_PRICE || "").trim();
 const PRICE_FULL  = (process.env.ONEOFF_FULL_PRICE    || "").trim();
-const INTRO_COUPON = (process.env.ONEOFF_INTRO_COUPON || "").trim();
-
-const STANDARD_PRICE = (process.env.STANDARD_PRICE || "").trim();
-const PREMIUM_PRICE  = (process.env.PREMIUM_PRICE  || "").trim();
 
 /* ==================== utilities ==================== */
 const safe = (s) => (s ?? "").toString().trim();
@@ -29,160 +40,289 @@ function priceForService(service_key) {
   return null;
 }
 
-function tierFromPriceId(priceId) {
-  if (!priceId) return null;
-  if (priceId === STANDARD_PRICE) return "standard";
-  if (priceId === PREMIUM_PRICE)  return "premium";
-  return null;
+/**
+ * Stripe line items for a one-off booking, one per quote line (see quote.js).
+ * The service keeps the product of its configured Stripe Price (reporting);
+ * add-ons are ad-hoc products.
+ */
+async function quoteLineItems(quote, priceId) {
+  const price = await stripe.prices.retrieve(priceId);
+  return quote.lines.map((l) => ({
+    price_data: {
+      currency: quote.currency,
+      ...(l.kind === "service"
+        ? { product: String(price.product?.id || price.product) }
+        : { product_data: { name: l.name } }),
+      unit_amount: l.amount,
+    },
+    quantity: 1,
+  }));
 }
 
-async function isFirstTimeCustomer(customer) {
-  try {
-    return !(await hasExistingCustomer({
-      email: normEmail(customer?.email || ""),
-      phone: safe(customer?.phone),
-      street: safe(customer?.street),
-    }));
-  } catch {
-    return false;
-  }
+/**
+ * The quote's discounts as a single-use Stripe coupon, so Checkout charges exactly quote.total.
+ * Its id travels in the session metadata (coupon_id) so it can be deleted once the session is over.
+ */
+async function quoteDiscounts(quote) {
+  if (!quote.discount_total) return undefined;
+  const coupon = await stripe.coupons.create({
+    amount_off: quote.discount_total,
+    currency: quote.currency,
+    duration: "once",
+    max_redemptions: 1,
+    name: quote.discounts.map((d) => d.name).join(" + ").slice(0, 40),
+  });
+  return [{ coupon: coupon.id }];
 }
 
-/* ==================== membership credit helpers (safety-net) ==================== */
+/** Drop a checkout's coupon once nothing can use it any more (best-effort; a missing one is fine). */
+async function deleteCoupon(couponId) {
+  if (!couponId) return;
+  await stripe.coupons.del(couponId).catch((e) => {
+    if (e?.code !== "resource_missing") console.warn(`[oneoff] delete coupon ${couponId} failed:`, e?.message || e);
+  });
+}
 
-async function ensureProcessedEvent(eventId) {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS public.processed_events (
-      id text PRIMARY KEY,
-      created_at timestamptz DEFAULT now()
-    )
-  `);
-  try {
-    await pool.query(`INSERT INTO public.processed_events (id) VALUES ($1)`, [eventId]);
-    return true;
-  } catch {
-    return false;
+/* ==================== one-off booking from a paid session ==================== */
+
+async function resolveUserIdByMetaOrEmail({ metaUserId, email }) {
+  if (metaUserId) {
+    const r = await pool.query(`SELECT id FROM public.users WHERE id=$1`, [metaUserId]);
+    if (r.rowCount) return metaUserId;
   }
+  if (email) {
+    const r = await pool.query(`SELECT id FROM public.users WHERE lower(email)=lower($1)`, [email]);
+    if (r.rowCount) return r.rows[0].id;
+  }
+  return null;
 }
 
-async function upsertSubscription({ user_id, tier, stripe_sub_id, status, current_period_start, current_period_end }) {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS public.subscriptions(
-      id serial PRIMARY KEY,
-      user_id integer NOT NULL,
-      tier text NOT NULL,
-      status text NOT NULL,
-      stripe_subscription_id text UNIQUE,
-      current_period_start timestamptz,
-      current_period_end   timestamptz,
-      created_at timestamptz DEFAULT now(),
-      updated_at timestamptz DEFAULT now()
-    )
-  `);
-
-  await pool.query(`
-    INSERT INTO public.subscriptions (user_id, tier, status, stripe_subscription_id, current_period_start, current_period_end, updated_at)
-    VALUES ($1,$2,$3,$4,to_timestamp($5),to_timestamp($6),now())
-    ON CONFLICT (stripe_subscription_id) DO UPDATE SET
-      user_id = EXCLUDED.user_id,
-      tier = EXCLUDED.tier,
-      status = EXCLUDED.status,
-      current_period_start = EXCLUDED.current_period_start,
-      current_period_end   = EXCLUDED.current_period_end,
-      updated_at = now()
-  `, [
-    user_id, tier, status, stripe_sub_id,
-    current_period_start ? Number(current_period_start) : null,
-    current_period_end   ? Number(current_period_end)   : null
-  ]);
-}
+/**
+ * Rebuild the booking from a completed one-off Checkout Session and persist it.
+ * Idempotent per session: Stripe retries and duplicate deliveries are no-ops.
+ */
+export async function recordOneOffBooking(s) {
+  const md = s.metadata || {};
+  if (md.kind !== "oneoff") return;
 
-async function awardMembershipCreditsOnce({ event_id, user_id, tier }) {
-  const first = await ensureProcessedEvent(event_id);
-  if (!first) {
-    console.log(`[oneoff webhook][safety-net] skip awarding (already processed) event=${event_id}`);
+  if (await findBookingBySession(s.id)) {
+    console.log(`[oneoff webhook] booking already recorded for session=${s.id}`);
     return;
   }
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS public.credit_ledger(
-      id serial PRIMARY KEY,
-      user_id integer NOT NULL,
-      service_type text NOT NULL,  -- 'exterior' | 'full'
-      qty integer NOT NULL,
-      valid_until timestamptz NULL,
-      created_at timestamptz DEFAULT now()
-    )
-  `);
-
-  let service_type = null;
-  if (tier === "standard") service_type = "exterior";
-  if (tier === "premium")  service_type = "full";
-  if (!service_type) {
-    console.warn(`[oneoff webhook][safety-net] unknown tier for awarding credits: ${tier}`);
+  const service_key = safe(md.service_key);
+  const start_iso = safe(md.slot_start);
+  const cfg = getConfig();
+  const svc = cfg.services[service_key];
+  if (!svc || !start_iso || Number.isNaN(Date.parse(start_iso))) {
+    console.warn(`[oneoff webhook] cannot rebuild booking: service=${service_key} slot=${start_iso} session=${s.id}`);
     return;
   }
 
-  await pool.query(
-    `INSERT INTO public.credit_ledger (user_id, service_type, qty, valid_until) VALUES ($1,$2,$3,NULL)`,
-    [user_id, service_type, 2]
-  );
-
-  console.log(`[oneoff webhook][safety-net] credits awarded: user=${user_id} tier=${tier} -> +2 ${service_type}`);
-}
+  const details = s.customer_details || {};
+  const email = normEmail(md.email || details.email || s.customer_email || "");
+  const customer = {
+    name: safe(md.name || details.name),
+    email,
+    phone: safe(md.phone || details.phone),
+    street: safe(md.street || details.address?.line1),
+    postcode: safe(md.postcode || details.address?.postal_code),
+  };
+  const addons = cleanAddons(safe(md.addons));
+  const size = vehicleSize(safe(md.vehicle_size));
+  const end_iso = new Date(Date.parse(start_iso) + serviceDuration(service_key, addons, size) * 60000).toISOString();
+  const user_id = await resolveUserIdByMetaOrEmail({ metaUserId: safe(md.user_id), email });
+  // Signed-in checkouts only match the account's own vehicles; guests match by email.
+  const car = await findVehicle(safe(md.vehicle_id), md.user_id ? { userId: user_id } : { email });
+
+  let saved;
+  try {
+    // The checkout hold fixed the resource; the others are a fallback if it lapsed.
+    saved = await saveBooking({
+      user_id,
+      stripe_session_id: s.id,
+      resource_ids: (await qualifiedResources(service_key)).map(r => r.id),
+      service_key,
+      addons,
+      vehicle_size: size,
+      vehicle_id: car?.id || null,
+      start_iso,
+      end_iso,
+      customer,
+      has_tap: md.has_tap !== "0",
+    });
+  } catch (e) {
+    if (e?.code !== "slot_taken") throw e;
+    // Paid after the hold lapsed and someone else took the time: give the money back.
+    console.error(`[oneoff webhook] slot taken for paid session=${s.id} start=${start_iso}; refunding`);
+    if (s.payment_intent) {
+      await stripe.refunds.create(
+        { payment_intent: safe(s.payment_intent), reason: "requested_by_customer", metadata: { reason: "slot_taken", session_id: s.id } },
+        { idempotencyKey: `slot_taken:${s.id}` }
+      );
+    }
+    await releasePromo(s.id);
+    await releaseVoucher(s.id);
+    await deleteCoupon(md.coupon_id);
+    return;
+  }
 
-async function resolveUserIdByMetaOrEmail({ metaUserId, email }) {
-  if (metaUserId) {
-    const r = await pool.query(`SELECT id FROM public.users WHERE id=$1`, [metaUserId]);
-    if (r.rowCount) return metaUserId;
+  if (md.promo_code) await confirmPromo(s.id);
+  if (md.voucher_code) await confirmVoucher(s.id);
+  await deleteCoupon(md.coupon_id); // redeemed: it has done its job
+  if (md.referral_code) {
+    await trackReferral(md.referral_code, { user_id, email, source: "checkout", booking_id: saved.id })
+      .catch((e) => console.warn("[oneoff webhook] referral tracking failed", e?.message || e));
   }
-  if (email) {
-    const r = await pool.query(`SELECT id FROM public.users WHERE lower(email)=lower($1)`, [email]);
-    if (r.rowCount) return r.rows[0].id;
+  if (md.intro === "1") {
+    await recordIntroRedemption("oneoff", { user_id, customer, stripe_session_id: s.id });
   }
-  return null;
+
+  // Create Google Calendar event (best-effort); event ids derive from the session id.
+  try {
+    await createCalendarEvents(s.id, [bookingEventItem({
+      bookingId: saved.id,
+      serviceName: svc.name,
+      start_iso,
+      end_iso,
+      customer,
+      addons: addons.map(k => cfg.addons[k]?.name || k),
+      vehicle: sizeName(size),
+      car,
+      paidWith: "Paid online (Stripe)",
+    })], await calendarIdFor(saved.resource_id));
+  } catch (e) {
+    console.warn("[gcal] create events failed", e?.message || e);
+  }
+
+  console.log(`[oneoff webhook] booking created id=${saved.id} session=${s.id} user=${user_id || "-"}`);
 }
 
 /* ==================== one-off checkout ==================== */
 
 export async function createCheckoutSession(req, res) {
   try {
-    const { customer, service_key, addons = [], origin, slot, first_time } = req.body || {};
+    const { customer, service_key, addons = [], vehicle_id, vehicle_size, origin, slot, has_tap, claim, quote_total, promo_code, voucher_code, referral_code } = req.body || {};
     if (!customer?.email || !service_key) {
       return res.status(400).json({ ok: false, error: "missing_fields" });
     }
 
     const priceId = priceForService(service_key);
     if (!priceId) return res.status(400).json({ ok: false, error: "invalid_service" });
+    // A signed-in customer is checked on the postcode of their account.
+    const postcode = req.user?.id ? await accountPostcode(req.user.id, customer.postcode) : safe(customer.postcode);
+    if (!inServiceArea(postcode)) {
+      return res.status(400).json({ ok: false, error: "outside_service_area" });
+    }
+
+    const resources = await qualifiedResources(service_key);
+    // Price from the server catalog; a saved vehicle decides the size class.
+    const q = await buildQuote({ user_id: req.user?.id, service_key, addons, vehicle_id, vehicle_size, customer, promo_code, voucher_code });
+    if (!q.ok) return res.status(400).json({ ok: false, error: q.error });
+    const { quote } = q;
+    // The customer confirmed a total: never charge a different one without showing it first.
+    if (quote_total != null && Number(quote_total) !== quote.total) {
+      return res.status(409).json({ ok: false, error: "quote_changed", quote });
+    }
+    const chosenAddons = quote.addons;
+    const promo = quote.discounts.find((d) => d.kind === "promo");
+    const voucher = quote.discounts.find((d) => d.kind === "voucher");
+    const size = quote.vehicle_size;
+    const resolved = resolveSlot({ service_key, addons: chosenAddons, size, start_iso: slot?.start_iso, resources });
+    if (!resolved.ok) return res.status(400).json({ ok: false, error: resolved.error });
+    if (await overlapsClosure(resolved.start_iso, resolved.end_iso)) {
+      return res.status(409).json({ ok: false, error: "slot_taken" });
+    }
 
     let base;
     try { base = new URL(origin || APP_ORIGIN).origin; }
     catch { base = APP_ORIGIN; }
 
-    let applyCoupon = false;
-    if (INTRO_COUPON) {
-      if (typeof first_time === "boolean") applyCoupon = first_time;
-      else applyCoupon = await isFirstTimeCustomer(customer);
+    // The code counts against its caps from here on; a lost race means it is used up.
+    const promoReservation = promo
+      ? await reservePromo(promo.promo_id, { user_id: req.user?.id, email: customer.email, amount: promo.amount })
+      : null;
+    if (promo && !promoReservation) return res.status(400).json({ ok: false, error: "promo_used_up" });
+
+    // Hold the slot for as long as the Checkout Session is open (plus a little grace for the webhook).
+    const { checkout_minutes, grace_minutes } = getConfig().holds;
+    // A waitlist claim link already holds the slot: keep that hold for the checkout.
+    await cleanupExpiredHolds();
+    const claimed = claim
+      ? await useClaim(claim, { service_key, start_iso: resolved.start_iso, user_id: req.user?.id || null, email: customer.email })
+      : null;
+    const hold = claimed
+      ? await extendHold(claimed.id, checkout_minutes + grace_minutes)
+      : await createHold({
+          service_key,
+          start_iso: resolved.start_iso,
+          end_iso: resolved.end_iso,
+          ttl_minutes: checkout_minutes + grace_minutes,
+          resource_ids: resolved.resource_ids,
+          postcode,
+        });
+    if (!hold) {
+      if (promoReservation) await cancelPromoReservation(promoReservation);
+      return res.status(409).json({ ok: false, error: "slot_taken" });
     }
+    // No checkout after all: a claim hold goes back to its own expiry, anything else is dropped.
+    const giveBackHold = () => (claimed ? restoreHold(hold.id, claimed.expires_at) : releaseHold({ id: hold.id }));
 
-    const session = await stripe.checkout.sessions.create({
-      mode: "payment",
-      customer_email: customer.email,
-      line_items: [{ price: priceId, quantity: 1 }],
-      discounts: applyCoupon && INTRO_COUPON ? [{ coupon: INTRO_COUPON }] : undefined,
-      success_url: `${base}/?thankyou=1&flow=oneoff&paid=1&session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${base}/?cancel=1`,
-      metadata: {
-        app: "gm",
-        kind: "oneoff",
-        service_key,
-        email: normEmail(customer.email),
-        slot_start: slot?.start_iso || "",
-        addons: (Array.isArray(addons) ? addons.join(",") : ""),
-      },
-    });
+    let session;
+    let discounts;
+    try {
+      discounts = await quoteDiscounts(quote);
+      session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        customer_email: customer.email,
+        line_items: await quoteLineItems(quote, priceId),
+        discounts,
+        expires_at: Math.floor(Date.now() / 1000) + checkout_minutes * 60 + 60,
+        success_url: `${base}/?thankyou=1&flow=oneoff&paid=1&session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${base}/?cancel=1&hold=${hold.token}`,
+        metadata: {
+          app: "gm",
+          kind: "oneoff",
+          service_key,
+          email: normEmail(customer.email),
+          name: safe(customer.name),
+          phone: safe(customer.phone),
+          street: safe(customer.street),
+          postcode,
+          has_tap: has_tap === false ? "0" : "1",
+          slot_start: resolved.start_iso,
+          addons: chosenAddons.join(","),
+          vehicle_size: size,
+          vehicle_id: quote.vehicle_id ? String(quote.vehicle_id) : "",
+          quote_total: String(quote.total),
+          user_id: req.user?.id ? String(req.user.id) : "",
+          intro: quote.discounts.some((d) => d.kind === "intro") ? "1" : "",
+          hold_id: String(hold.id),
+          promo_code: promo?.code || "",
+          voucher_code: voucher?.code || "",
+          referral_code: safe(referral_code).slice(0, 32),
+          coupon_id: discounts?.[0]?.coupon || "",
+        },
+      });
+    } catch (err) {
+      await deleteCoupon(discounts?.[0]?.coupon);
+      await giveBackHold();
+      if (promoReservation) await cancelPromoReservation(promoReservation);
+      throw err;
+    }
+    await attachHoldSession(hold.id, session.id);
+    if (promoReservation) await attachPromoSession(promoReservation, session.id);
+    // The voucher balance may have been spent since the quote: then nothing is charged and the customer re-checks.
+    if (voucher && !(await reserveVoucher(voucher.voucher_id, { amount: voucher.amount, user_id: req.user?.id, stripe_session_id: session.id }))) {
+      await giveBackHold(); // first: expiring the session would release the hold it is attached to
+      await stripe.checkout.sessions.expire(session.id).catch(() => {});
+      await releasePromo(session.id);
+      const fresh = await buildQuote({ user_id: req.user?.id, service_key, addons, vehicle_id, vehicle_size, customer, promo_code, voucher_code });
+      if (!fresh.ok) return res.status(400).json({ ok: false, error: fresh.error });
+      return res.status(409).json({ ok: false, error: "quote_changed", quote: fresh.quote });
+    }
 
-    console.log(`[oneoff] create session for ${service_key} coupon=${applyCoupon ? INTRO_COUPON : "(none)"}`);
+    console.log(`[oneoff] create session for ${service_key} size=${size} total=${quote.total} discount=${quote.discount_total}`);
     return res.json({ ok: true, url: session.url });
   } catch (err) {
     console.error("[oneoff] create-checkout-session failed:", err?.message || err);
@@ -190,112 +330,39 @@ export async function createCheckoutSession(req, res) {
   }
 }
 
-/* ==================== webhook (one-off + safety-net for memberships) ==================== */
-
-export async function stripeWebhook(req, res) {
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, req.headers["stripe-signature"], WEBHOOK_SECRET);
-  } catch (err) {
-    console.error("[oneoff webhook] bad signature:", err?.message || err);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  const type = event.type;
-
-  try {
-    if (type === "checkout.session.completed") {
-      const s = event.data.object; // CheckoutSession
-      console.log("[oneoff webhook] checkout.session.completed", s.id);
-
-      // SAFETY-NET: if this Checkout Session is actually a membership (mode=subscription),
-      // resolve user/tier and award credits here as well.
-      if (s.mode === "subscription") {
-        const subId = safe(s.subscription);
-        const md = s.metadata || {};
-        const email = normEmail(md.email || s.customer_details?.email || s.customer_email || "");
-
-        let sub = null;
-        if (subId) {
-          sub = await stripe.subscriptions.retrieve(subId, { expand: ["items.data.price.product"] });
-        }
-
-        const tier =
-          safe(md.tier) ||
-          tierFromPriceId(sub?.items?.data?.[0]?.price?.id) ||
-          null;
-
-        const user_id = await resolveUserIdByMetaOrEmail({
-          metaUserId: safe(md.user_id || sub?.metadata?.user_id),
-          email
-        });
+/* ==================== Stripe events ==================== */
 
-        if (user_id && tier) {
-          await upsertSubscription({
-            user_id,
-            tier,
-            stripe_sub_id: sub?.id || subId || "",
-            status: sub?.status || "active",
-            current_period_start: sub?.current_period_start || null,
-            current_period_end:   sub?.current_period_end   || null,
-          });
-          await awardMembershipCreditsOnce({ event_id: event.id, user_id, tier });
-        } else {
-          console.warn("[oneoff webhook][safety-net] unable to resolve user/tier on checkout.session.completed");
-        }
-      }
-    }
-
-    if (type === "invoice.payment_succeeded") {
-      // SAFETY-NET: renewals or first invoice for a membership shot into the one-off endpoint
-      const inv = event.data.object;
-      const subId = safe(inv.subscription);
-      if (subId) {
-        const sub = await stripe.subscriptions.retrieve(subId, { expand: ["items.data.price"] });
-        const tier =
-          safe(sub?.metadata?.tier) ||
-          tierFromPriceId(sub?.items?.data?.[0]?.price?.id) ||
-          null;
-
-        const email = normEmail(inv.customer_email || "");
-        const user_id = await resolveUserIdByMetaOrEmail({
-          metaUserId: safe(sub?.metadata?.user_id),
-          email
-        });
-
-        if (user_id && tier) {
-          await upsertSubscription({
-            user_id,
-            tier,
-            stripe_sub_id: sub.id,
-            status: sub.status || "active",
-            current_period_start: sub.current_period_start || null,
-            current_period_end:   sub.current_period_end   || null,
-          });
-          await awardMembershipCreditsOnce({ event_id: event.id, user_id, tier });
-        } else {
-          console.warn("[oneoff webhook][safety-net] unable to resolve user/tier on invoice.payment_succeeded");
-        }
-      }
-    }
-  } catch (err) {
-    console.error("[oneoff webhook] handler error:", err?.message || err);
-    // do not 4xx here; Stripe will retry and could double-award without idempotency
-  }
-
-  res.json({ received: true });
+/** checkout.session.expired: the customer abandoned Stripe Checkout, so give the slot back. */
+export async function releaseExpiredCheckout(s) {
+  if (s.mode !== "payment") return;
+  await releaseHold({ stripe_session_id: s.id });
+  await releasePromo(s.id);
+  await releaseVoucher(s.id);
+  await deleteCoupon(s.metadata?.coupon_id);
 }
 
 /* ==================== mounting helpers ==================== */
 
-export function mountPaymentsWebhook(app) {
-  // Mount webhook with RAW body BEFORE express.json()
-  app.post("/api/webhooks/stripe", express.raw({ type: "application/json" }), stripeWebhook);
-}
-
 export function mountPaymentsRoutes(app) {
   // Normal JSON routes AFTER express.json()
-  app.post("/api/pay/create-checkout-session", express.json(), createCheckoutSession);
+  app.post("/api/pay/create-checkout-session", express.json(), authMiddleware, createCheckoutSession);
+  // Cancel from Stripe Checkout (cancel_url carries the hold token): expire the session, free the slot.
+  app.post("/api/pay/cancel", express.json(), async (req, res) => {
+    try {
+      const token = safe(req.body?.hold);
+      if (!token) return res.status(400).json({ ok: false, error: "missing_hold" });
+      const hold = await releaseHold({ token });
+      if (hold?.stripe_session_id) {
+        await stripe.checkout.sessions.expire(hold.stripe_session_id).catch((e) => {
+          console.warn("[oneoff] expire session failed:", e?.message || e);
+        });
+      }
+      return res.json({ ok: true, released: !!hold });
+    } catch (err) {
+      console.error("[oneoff] cancel failed:", err?.message || err);
+      return res.status(500).json({ ok: false, error: "cancel_failed" });
+    }
+  });
   app.post("/api/pay/confirm", express.json(), async (req, res) => {
     try {
       const { session_id } = req.body || {};
@@ -310,6 +377,6 @@ export function mountPaymentsRoutes(app) {
 
 // Backwards compatibility if anything still calls mountPayments(app)
 export function mountPayments(app) {
-  mountPaymentsWebhook(app);
+  mountStripeWebhooks(app);
   mountPaymentsRoutes(app);
 }
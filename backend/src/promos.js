@@ -0,0 +1,302 @@
+// backend/src/promos.js
+import { Router } from "express";
+import { pool } from "./db.js";
+import { requireAdmin } from "./admin.js";
+import { getConfig } from "./config.js";
+
+/**
+ * Promo codes entered in the Confirm step.
+ *   - kind 'percent' (value = 1..100) or 'fixed' (value = amount in pounds)
+ *   - services: service keys the code applies to (NULL = all one-off services)
+ *   - valid_from / valid_until: optional window
+ *   - max_uses / max_uses_per_customer: optional caps; open checkouts count until they expire
+ *   - min_spend: optional minimum booking subtotal in pounds
+ * The quote (quote.js) turns an accepted code into a discount line; checkout charges it.
+ */
+
+const router = Router();
+router.use(requireAdmin);
+
+const CODE = /^[A-Z0-9_-]{3,32}$/;
+
+export const normCode = (s) => (s ?? "").toString().trim().toUpperCase();
+
+export async function initPromos() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.promo_codes (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      kind TEXT NOT NULL,                   -- 'percent' | 'fixed'
+      value NUMERIC NOT NULL,
+      services TEXT[],
+      valid_from TIMESTAMPTZ,
+      valid_until TIMESTAMPTZ,
+      max_uses INTEGER,
+      max_uses_per_customer INTEGER,
+      min_spend NUMERIC,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.promo_redemptions (
+      id SERIAL PRIMARY KEY,
+      promo_id INTEGER NOT NULL,
+      user_id INTEGER,
+      email TEXT,
+      stripe_session_id TEXT UNIQUE,
+      amount INTEGER,                       -- pence taken off
+      status TEXT DEFAULT 'pending',        -- 'pending' (checkout open) | 'redeemed'
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+}
+
+/* --------------------------- store --------------------------- */
+
+async function usesOf(promoId, { user_id, email } = {}, db = pool) {
+  const r = await db.query(
+    `SELECT COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE (user_id = $2) OR ($3 <> '' AND lower(email) = $3))::int AS mine
+       FROM public.promo_redemptions
+      WHERE promo_id = $1`,
+    [promoId, user_id || null, (email || "").toLowerCase()]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Check a code against a booking. `subtotal` is in pence.
+ * Returns { ok:true, promo, amount } (amount in pence, capped at `subtotal`) or { ok:false, error }.
+ */
+export async function checkPromo(code, { service_key, subtotal, user_id, email }) {
+  const c = normCode(code);
+  if (!pool || !CODE.test(c)) return { ok: false, error: "promo_invalid" };
+
+  const r = await pool.query(`SELECT * FROM public.promo_codes WHERE code=$1 AND active`, [c]);
+  const p = r.rows[0];
+  if (!p) return { ok: false, error: "promo_invalid" };
+
+  const now = Date.now();
+  if ((p.valid_from && new Date(p.valid_from).getTime() > now) || (p.valid_until && new Date(p.valid_until).getTime() <= now)) {
+    return { ok: false, error: "promo_expired" };
+  }
+  if (p.services?.length && !p.services.includes(service_key)) return { ok: false, error: "promo_not_applicable" };
+  if (p.min_spend != null && subtotal < Math.round(Number(p.min_spend) * 100)) return { ok: false, error: "promo_min_spend" };
+
+  const uses = await usesOf(p.id, { user_id, email });
+  if (p.max_uses != null && uses.total >= p.max_uses) return { ok: false, error: "promo_used_up" };
+  if (p.max_uses_per_customer != null && uses.mine >= p.max_uses_per_customer) return { ok: false, error: "promo_used_up" };
+
+  const amount = p.kind === "percent"
+    ? Math.round((subtotal * Number(p.value)) / 100)
+    : Math.round(Number(p.value) * 100);
+  return { ok: true, promo: p, amount: Math.min(subtotal, amount) };
+}
+
+/**
+ * Count a code against its caps before its Checkout Session is created. The caps are checked
+ * again with the code's row locked, so concurrent checkouts cannot go past them.
+ * Returns the reservation id (see attachPromoSession), or null when the code is used up.
+ */
+export async function reservePromo(promoId, { user_id, email, amount }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const p = await client.query(
+      `SELECT max_uses, max_uses_per_customer FROM public.promo_codes WHERE id=$1 FOR UPDATE`,
+      [promoId]
+    );
+    const uses = await usesOf(promoId, { user_id, email }, client);
+    const cap = p.rows[0];
+    if (!cap || (cap.max_uses != null && uses.total >= cap.max_uses) ||
+        (cap.max_uses_per_customer != null && uses.mine >= cap.max_uses_per_customer)) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    const r = await client.query(
+      `INSERT INTO public.promo_redemptions (promo_id, user_id, email, amount)
+       VALUES ($1,$2,$3,$4) RETURNING id`,
+      [promoId, user_id || null, (email || "").toLowerCase() || null, amount]
+    );
+    await client.query("COMMIT");
+    return r.rows[0].id;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Tie a reservation to the Checkout Session it was made for. */
+export async function attachPromoSession(reservationId, stripe_session_id) {
+  await pool.query(
+    `UPDATE public.promo_redemptions SET stripe_session_id=$2 WHERE id=$1`,
+    [reservationId, stripe_session_id]
+  );
+}
+
+/** No Checkout Session came of a reservation: give the use back. */
+export async function cancelPromoReservation(reservationId) {
+  await pool.query(
+    `DELETE FROM public.promo_redemptions WHERE id=$1 AND status='pending'`,
+    [reservationId]
+  );
+}
+
+/** Checkout paid: the use is final. */
+export async function confirmPromo(stripe_session_id) {
+  await pool.query(
+    `UPDATE public.promo_redemptions SET status='redeemed' WHERE stripe_session_id=$1`,
+    [stripe_session_id]
+  );
+}
+
+/** Checkout abandoned: give the use back. */
+export async function releasePromo(stripe_session_id) {
+  await pool.query(
+    `DELETE FROM public.promo_redemptions WHERE stripe_session_id=$1 AND status='pending'`,
+    [stripe_session_id]
+  );
+}
+
+function parseDate(v) {
+  if (v == null || v === "") return { ok: true, value: null };
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? { ok: false } : { ok: true, value: new Date(t).toISOString() };
+}
+
+const optCount = (v) => (v == null || v === "" ? null : Number(v));
+
+function parsePromo(body = {}) {
+  const code = normCode(body.code);
+  if (!CODE.test(code)) return { ok: false, error: "invalid_code" };
+
+  const kind = String(body.kind || "");
+  const value = Number(body.value);
+  if (!["percent", "fixed"].includes(kind)) return { ok: false, error: "invalid_kind" };
+  if (!(value > 0) || (kind === "percent" && value > 100)) return { ok: false, error: "invalid_value" };
+
+  let services = null;
+  if (body.services != null) {
+    if (!Array.isArray(body.services)) return { ok: false, error: "invalid_services" };
+    const known = Object.keys(getConfig().services || {});
+    if (body.services.some((s) => !known.includes(s))) return { ok: false, error: "invalid_services" };
+    services = body.services.length ? body.services : null;
+  }
+
+  const from = parseDate(body.valid_from);
+  const until = parseDate(body.valid_until);
+  if (!from.ok || !until.ok || (from.value && until.value && until.value <= from.value)) {
+    return { ok: false, error: "invalid_dates" };
+  }
+
+  const max_uses = optCount(body.max_uses);
+  const max_uses_per_customer = optCount(body.max_uses_per_customer);
+  for (const n of [max_uses, max_uses_per_customer]) {
+    if (n != null && !(Number.isInteger(n) && n > 0)) return { ok: false, error: "invalid_caps" };
+  }
+
+  const min_spend = body.min_spend == null || body.min_spend === "" ? null : Number(body.min_spend);
+  if (min_spend != null && !(min_spend >= 0)) return { ok: false, error: "invalid_min_spend" };
+
+  return {
+    ok: true,
+    value: {
+      code, kind, value, services,
+      valid_from: from.value,
+      valid_until: until.value,
+      max_uses, max_uses_per_customer, min_spend,
+      active: body.active !== false,
+    },
+  };
+}
+
+const COLUMNS = `id, code, kind, value, services, valid_from, valid_until, max_uses, max_uses_per_customer, min_spend, active, created_at`;
+
+const valuesOf = (v) => [
+  v.code, v.kind, v.value, v.services, v.valid_from, v.valid_until,
+  v.max_uses, v.max_uses_per_customer, v.min_spend, v.active,
+];
+
+/* --------------------------- admin routes --------------------------- */
+
+// GET /api/admin/promos — every code with its use counts
+router.get("/", async (_req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${COLUMNS.split(", ").map((c) => `p.${c}`).join(", ")},
+              COUNT(x.id) FILTER (WHERE x.status='redeemed')::int AS redeemed,
+              COUNT(x.id) FILTER (WHERE x.status='pending')::int  AS pending
+         FROM public.promo_codes p
+         LEFT JOIN public.promo_redemptions x ON x.promo_id = p.id
+        GROUP BY p.id
+        ORDER BY p.id DESC`
+    );
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    console.error("[admin/promos] list", e);
+    res.status(500).json({ ok: false, error: "promos_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/promos
+ * Body: { code, kind: 'percent'|'fixed', value, services?: string[], valid_from?, valid_until?,
+ *         max_uses?, max_uses_per_customer?, min_spend?, active? }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const p = parsePromo(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const r = await pool.query(
+      `INSERT INTO public.promo_codes
+         (code, kind, value, services, valid_from, valid_until, max_uses, max_uses_per_customer, min_spend, active)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+       ON CONFLICT (code) DO NOTHING
+       RETURNING ${COLUMNS}`,
+      valuesOf(p.value)
+    );
+    if (!r.rowCount) return res.status(409).json({ ok: false, error: "code_exists" });
+    res.json({ ok: true, promo: r.rows[0] });
+  } catch (e) {
+    console.error("[admin/promos] create", e);
+    res.status(500).json({ ok: false, error: "promo_create_failed" });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const p = parsePromo(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const r = await pool.query(
+      `UPDATE public.promo_codes
+          SET code=$2, kind=$3, value=$4, services=$5, valid_from=$6, valid_until=$7,
+              max_uses=$8, max_uses_per_customer=$9, min_spend=$10, active=$11
+        WHERE id=$1
+        RETURNING ${COLUMNS}`,
+      [Number(req.params.id), ...valuesOf(p.value)]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, promo: r.rows[0] });
+  } catch (e) {
+    if (e?.code === "23505") return res.status(409).json({ ok: false, error: "code_exists" });
+    console.error("[admin/promos] update", e);
+    res.status(500).json({ ok: false, error: "promo_update_failed" });
+  }
+});
+
+// Codes keep their redemption history, so "delete" only deactivates.
+router.delete("/:id", async (req, res) => {
+  try {
+    const r = await pool.query(`UPDATE public.promo_codes SET active=false WHERE id=$1`, [Number(req.params.id)]);
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[admin/promos] deactivate", e);
+    res.status(500).json({ ok: false, error: "promo_delete_failed" });
+  }
+});
+
+export default router;
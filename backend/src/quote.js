@@ -0,0 +1,114 @@
+// backend/src/quote.js
+import { getConfig } from "./config.js";
+import { cleanAddons } from "./schedule.js";
+import { vehicleSize, sizeName, sizedPrice } from "./sizes.js";
+import { findVehicle } from "./vehicles.js";
+import { introEligible } from "./intro.js";
+import { checkPromo, normCode } from "./promos.js";
+import { checkVoucher, normVoucherCode } from "./vouchers.js";
+
+/**
+ * Authoritative itemised price of a one-off booking, from the server catalog.
+ * The Confirm step shows it and checkout (payments.js) turns the very same quote
+ * into Stripe line items + one discount, so what is shown is what is charged.
+ *
+ * Amounts are integer pence:
+ * {
+ *   currency, service_key, vehicle_size, addons,
+ *   lines:     [{ kind:'service'|'addon', key, name, amount }],
+ *   discounts: [{ kind:'intro'|'promo'|'voucher', name, amount, code?, promo_id?, voucher_id? }],   // amount > 0, subtracted
+ *   subtotal, discount_total, total
+ * }
+ */
+
+const pence = (amount) => Math.round(amount * 100);
+
+/**
+ * Build the quote. Returns { ok:true, quote } or { ok:false, error }.
+ * `vehicle_id` (a saved vehicle of the signed-in user, or of customer.email for a guest) decides the
+ * size class over `vehicle_size`.
+ * Only a logged-in `user_id` can qualify for the intro discount (see intro.js).
+ * A `promo_code` that does not apply fails the quote with its promo_* error (see promos.js);
+ * likewise a `voucher_code`, whose balance then pays what is left (see vouchers.js).
+ */
+export async function buildQuote({ user_id = null, service_key, addons = [], vehicle_id = null, vehicle_size = null, customer = {}, promo_code = "", voucher_code = "" }) {
+  const cfg = getConfig();
+  const svc = cfg.services[service_key];
+  if (!svc || svc.visits) return { ok: false, error: "invalid_service" };
+
+  const car = vehicle_id ? await findVehicle(vehicle_id, user_id ? { userId: user_id } : { email: customer.email }) : null;
+  if (vehicle_id && !car) return { ok: false, error: "invalid_vehicle" };
+  const size = vehicleSize(car?.size_class || vehicle_size);
+  const chosen = cleanAddons(addons);
+
+  const lines = [
+    { kind: "service", key: service_key, name: `${svc.name} (${sizeName(size)})`, amount: pence(sizedPrice(svc.price, size)) },
+    ...chosen.map((k) => ({
+      kind: "addon", key: k, name: `${cfg.addons[k].name} (${sizeName(size)})`, amount: pence(sizedPrice(cfg.addons[k].price, size)),
+    })),
+  ];
+  const subtotal = lines.reduce((s, l) => s + l.amount, 0);
+
+  const discounts = [];
+  const intro = cfg.intro_discount;
+  if (intro?.percent > 0 && (await introEligible("oneoff", { user_id, customer }))) {
+    discounts.push({
+      kind: "intro",
+      name: intro.name,
+      amount: Math.round((lines[0].amount * intro.percent) / 100),
+    });
+  }
+  // A promo code applies to what is left after the intro discount.
+  if (normCode(promo_code)) {
+    const left = subtotal - discounts.reduce((s, d) => s + d.amount, 0);
+    const p = await checkPromo(promo_code, { service_key, subtotal, user_id, email: customer.email });
+    if (!p.ok) return { ok: false, error: p.error };
+    const amount = p.promo.kind === "percent" ? Math.round((left * Number(p.promo.value)) / 100) : Math.min(left, p.amount);
+    if (amount > 0) {
+      discounts.push({ kind: "promo", name: `Code ${p.promo.code}`, amount, code: p.promo.code, promo_id: p.promo.id });
+    }
+  }
+  // A gift voucher pays last, up to its balance.
+  if (normVoucherCode(voucher_code)) {
+    const left = subtotal - discounts.reduce((s, d) => s + d.amount, 0);
+    const v = await checkVoucher(voucher_code);
+    if (!v.ok) return { ok: false, error: v.error };
+    const amount = Math.min(left, v.voucher.balance);
+    if (amount > 0) {
+      discounts.push({ kind: "voucher", name: `Gift voucher ${v.voucher.code}`, amount, code: v.voucher.code, voucher_id: v.voucher.id });
+    }
+  }
+  const discount_total = Math.min(subtotal, discounts.reduce((s, d) => s + d.amount, 0));
+
+  return {
+    ok: true,
+    quote: {
+      currency: cfg.currency,
+      service_key,
+      vehicle_size: size,
+      vehicle_id: car?.id || null,
+      addons: chosen,
+      lines,
+      discounts,
+      subtotal,
+      discount_total,
+      total: subtotal - discount_total,
+    },
+  };
+}
+
+/**
+ * POST /api/quote   (Bearer optional; without it no intro discount is offered)
+ * Body: { service_key, addons?, vehicle_id?, vehicle_size?, customer:{ email, phone?, street? }, promo_code?, voucher_code? }
+ */
+export async function postQuote(req, res) {
+  try {
+    const { service_key, addons, vehicle_id, vehicle_size, customer, promo_code, voucher_code } = req.body || {};
+    const q = await buildQuote({ user_id: req.user?.id, service_key, addons, vehicle_id, vehicle_size, customer: customer || {}, promo_code, voucher_code });
+    if (!q.ok) return res.status(400).json({ ok: false, error: q.error });
+    return res.json({ ok: true, quote: q.quote });
+  } catch (err) {
+    console.error("[/api/quote] error", err);
+    return res.status(500).json({ ok: false, error: "quote_failed" });
+  }
+}
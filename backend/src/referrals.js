@@ -0,0 +1,180 @@
+// backend/src/referrals.js
+import crypto from "crypto";
+import { pool, hasExistingCustomer } from "./db.js";
+import { getConfig } from "./config.js";
+import { grantCredits } from "./ledger.js";
+
+/**
+ * Referral programme.
+ *   - every user has a referral_code (made on first use)
+ *   - a new customer who registers or checks out with a code becomes a 'pending' referral
+ *   - once the referred customer's first booking is completed (ended, not cancelled),
+ *     the sweep in jobs.js pays the referrer config.referrals.reward as a credit_ledger
+ *     credit (kind 'credit', reason 'referral') and marks the referral 'rewarded'
+ */
+
+const safe = (s) => (s ?? "").toString().trim();
+
+export const normReferralCode = (s) => safe(s).toUpperCase();
+
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+function newCode() {
+  return [...crypto.randomBytes(6)].map((b) => ALPHABET[b % ALPHABET.length]).join("");
+}
+
+export async function initReferrals() {
+  await pool.query(`ALTER TABLE public.users ADD COLUMN IF NOT EXISTS referral_code TEXT UNIQUE;`);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.referrals (
+      id SERIAL PRIMARY KEY,
+      referrer_id INTEGER NOT NULL,
+      referred_user_id INTEGER UNIQUE,
+      referred_email TEXT UNIQUE,
+      source TEXT,                          -- 'register' | 'checkout'
+      status TEXT DEFAULT 'pending',        -- 'pending' | 'rewarded'
+      booking_id INTEGER,                   -- the referred customer's first booking
+      ledger_id INTEGER,                    -- the referrer's reward
+      created_at TIMESTAMPTZ DEFAULT now(),
+      rewarded_at TIMESTAMPTZ
+    );
+  `);
+}
+
+/** The user's referral code, created the first time it is asked for. */
+export async function referralCodeFor(userId) {
+  const r = await pool.query(`SELECT referral_code FROM public.users WHERE id=$1`, [userId]);
+  if (!r.rowCount) return null;
+  if (r.rows[0].referral_code) return r.rows[0].referral_code;
+  for (let i = 0; i < 5; i++) {
+    try {
+      const u = await pool.query(
+        `UPDATE public.users SET referral_code = COALESCE(referral_code, $2) WHERE id=$1 RETURNING referral_code`,
+        [userId, newCode()]
+      );
+      return u.rows[0].referral_code;
+    } catch (e) {
+      if (e?.code !== "23505") throw e; // code taken: try another
+    }
+  }
+  return null;
+}
+
+/**
+ * Track that a new customer came with `code`. Ignored (false) for unknown codes,
+ * self-referrals and customers who are already known (booked before or already referred).
+ * `booking_id`: the booking being made right now, which does not count as "booked before".
+ */
+export async function trackReferral(code, { user_id = null, email = "", source, booking_id = null }) {
+  const c = normReferralCode(code);
+  const mail = safe(email).toLowerCase();
+  if (!pool || !c || (!user_id && !mail)) return false;
+
+  const ref = await pool.query(`SELECT id, email FROM public.users WHERE referral_code=$1`, [c]);
+  const referrer = ref.rows[0];
+  if (!referrer || referrer.id === user_id || (mail && safe(referrer.email).toLowerCase() === mail)) return false;
+
+  const earlier = booking_id
+    ? (await pool.query(
+        `SELECT 1 FROM public.bookings
+          WHERE (user_id = $1 OR ($2 <> '' AND lower(customer_email) = $2)) AND id <> $3
+          LIMIT 1`,
+        [user_id, mail, booking_id]
+      )).rowCount > 0
+    : await hasExistingCustomer({ email: mail });
+  if (earlier) return false;
+
+  const r = await pool.query(
+    `INSERT INTO public.referrals (referrer_id, referred_user_id, referred_email, source)
+     VALUES ($1,$2,$3,$4)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [referrer.id, user_id, mail || null, source]
+  );
+  if (r.rowCount) console.log(`[referrals] ${mail || `user ${user_id}`} referred by user=${referrer.id} (${source})`);
+  return r.rowCount > 0;
+}
+
+/** A referral registered with an email only gets its user once that customer has an account. */
+export async function linkReferralUser(userId, email) {
+  await pool.query(
+    `UPDATE public.referrals SET referred_user_id=$1
+      WHERE referred_user_id IS NULL AND referred_email = lower($2)`,
+    [userId, email]
+  );
+}
+
+/**
+ * Pay referrers whose referred customer has completed a first booking. Safe to run repeatedly.
+ * Returns the number of rewards paid.
+ */
+export async function rewardCompletedReferrals() {
+  if (!pool) return 0;
+  const { reward } = getConfig().referrals;
+
+  // Each pending referral with the referred customer's first non-cancelled booking, if it has ended.
+  const due = await pool.query(`
+    SELECT r.id, r.referrer_id, b.id AS booking_id
+      FROM public.referrals r
+      JOIN LATERAL (
+        SELECT id, end_time
+          FROM public.bookings
+         WHERE (user_id = r.referred_user_id OR lower(customer_email) = r.referred_email)
+           AND status IS DISTINCT FROM 'cancelled'
+         ORDER BY start_time ASC
+         LIMIT 1
+      ) b ON true
+     WHERE r.status = 'pending'
+       AND b.end_time < now()
+  `);
+
+  let paid = 0;
+  for (const d of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const claim = await client.query(
+        `UPDATE public.referrals SET status='rewarded', rewarded_at=now(), booking_id=$2
+          WHERE id=$1 AND status='pending' RETURNING id`,
+        [d.id, d.booking_id]
+      );
+      if (claim.rowCount) {
+        const lot = await grantCredits(
+          { user_id: d.referrer_id, ...reward, reason: "referral", related_booking_id: d.booking_id },
+          client
+        );
+        await client.query(`UPDATE public.referrals SET ledger_id=$2 WHERE id=$1`, [d.id, lot.id]);
+        paid++;
+      }
+      await client.query("COMMIT");
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      console.warn(`[referrals] reward failed referral=${d.id}`, e?.message || e);
+    } finally {
+      client.release();
+    }
+  }
+  if (paid) console.log(`[referrals] rewarded ${paid} referral(s)`);
+  return paid;
+}
+
+/** Referral status of a user: their code, everyone they referred and what it earned. */
+export async function referralSummary(userId) {
+  const code = await referralCodeFor(userId);
+  const r = await pool.query(
+    `SELECT r.status, r.created_at, r.rewarded_at, u.name, r.referred_email, l.service_type, l.qty
+       FROM public.referrals r
+       LEFT JOIN public.users u ON u.id = r.referred_user_id
+       LEFT JOIN public.credit_ledger l ON l.id = r.ledger_id
+      WHERE r.referrer_id = $1
+      ORDER BY r.created_at DESC`,
+    [userId]
+  );
+  const earned = { exterior: 0, full: 0 };
+  const rows = r.rows.map((x) => {
+    if (x.qty) earned[x.service_type] = (earned[x.service_type] || 0) + x.qty;
+    // Only a first name or a masked email: enough to recognise a friend, nothing more.
+    const who = safe(x.name).split(/\s+/)[0] || safe(x.referred_email).replace(/^(.).*(@.*)$/, "$1…$2") || "Customer";
+    return { who, status: x.status, created_at: x.created_at, rewarded_at: x.rewarded_at };
+  });
+  return { code, reward: getConfig().referrals.reward, referrals: rows, earned };
+}
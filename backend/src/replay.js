@@ -0,0 +1,43 @@
+// backend/src/replay.js
+import { pool } from "./db.js";
+import { initWebhooks, replayEvent } from "./webhooks.js";
+import "./stripeHandlers.js";
+
+/**
+ * Replay a stored Stripe event against its handlers.
+ *   npm run replay-event -- <event_id> [--force] [--handler=<name>]
+ * Handlers that already succeeded are skipped unless --force is given.
+ */
+
+const args = process.argv.slice(2);
+const id = args.find((a) => !a.startsWith("--"));
+const force = args.includes("--force");
+const only = args.find((a) => a.startsWith("--handler="))?.slice("--handler=".length) || null;
+
+async function main() {
+  if (!id) {
+    console.error("usage: npm run replay-event -- <event_id> [--force] [--handler=<name>]");
+    return 2;
+  }
+  if (!pool) {
+    console.error("[replay] DATABASE_URL is not set");
+    return 1;
+  }
+  await initWebhooks();
+  const results = await replayEvent(id, { force, only });
+  if (!results) {
+    console.error(`[replay] no stored event ${id}`);
+    return 1;
+  }
+  if (!results.length) console.log(`[replay] no handlers matched ${id}`);
+  for (const r of results) console.log(`[replay] ${r.handler}: ${r.status}${r.error ? ` (${r.error})` : ""}`);
+  return results.some((r) => r.status === "failed") ? 1 : 0;
+}
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((e) => {
+    console.error("[replay] failed:", e?.message || e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool?.end());
@@ -0,0 +1,181 @@
+// backend/src/resources.js
+import { Router } from "express";
+import { pool } from "./db.js";
+import { requireAdmin } from "./admin.js";
+import { getConfig } from "./config.js";
+
+/**
+ * Bookable resources (a detailer + van). Each booking and hold is assigned to one.
+ *   - services: service keys the resource may take (NULL = all), e.g. only one van does "full"
+ *   - hours:    optional working-hours override, same shape as config.schedule.hours
+ *               ({ weekday:{start,end}, weekend:{start,end} }, either key may be omitted)
+ *   - calendar_id: Google Calendar that receives this resource's events (NULL = GCAL_CALENDAR_ID)
+ */
+
+const router = Router();
+router.use(requireAdmin);
+
+const HM = /^\d{2}:\d{2}$/;
+
+export async function initResources() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.resources (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      services TEXT[],
+      hours JSONB,
+      calendar_id TEXT,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS resource_id INTEGER;`);
+  await pool.query(`ALTER TABLE public.booking_holds ADD COLUMN IF NOT EXISTS resource_id INTEGER;`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS bookings_resource_time_idx ON public.bookings (resource_id, start_time, end_time);`);
+
+  // First boot: everything so far was done by one van.
+  const any = await pool.query(`SELECT id FROM public.resources ORDER BY id ASC LIMIT 1`);
+  let firstId = any.rows[0]?.id;
+  if (!firstId) {
+    const r = await pool.query(
+      `INSERT INTO public.resources (name, calendar_id) VALUES ('Van 1', $1) RETURNING id`,
+      [process.env.GCAL_CALENDAR_ID || null]
+    );
+    firstId = r.rows[0].id;
+    console.log(`[resources] seeded default resource id=${firstId}`);
+  }
+  await pool.query(`UPDATE public.bookings SET resource_id=$1 WHERE resource_id IS NULL`, [firstId]);
+  await pool.query(`UPDATE public.booking_holds SET resource_id=$1 WHERE resource_id IS NULL`, [firstId]);
+}
+
+/* --------------------------- store --------------------------- */
+
+export async function listResources({ activeOnly = false } = {}) {
+  const r = await pool.query(
+    `SELECT id, name, services, hours, calendar_id, active
+       FROM public.resources
+      ${activeOnly ? "WHERE active" : ""}
+      ORDER BY id ASC`
+  );
+  return r.rows || [];
+}
+
+/** Service a booking of `service_key` actually occupies (memberships book their visit service). */
+function bookableService(service_key) {
+  return getConfig().services?.[service_key]?.visitService || service_key;
+}
+
+/** Active resources allowed to perform the service, in preference order. */
+export async function qualifiedResources(service_key) {
+  const svc = bookableService(service_key);
+  return (await listResources({ activeOnly: true }))
+    .filter((r) => !r.services?.length || r.services.includes(svc));
+}
+
+/** Google Calendar of a resource; undefined falls back to the default calendar in gcal.js. */
+export async function calendarIdFor(resourceId) {
+  if (!resourceId) return undefined;
+  const r = await pool.query(`SELECT calendar_id FROM public.resources WHERE id=$1`, [resourceId]);
+  return r.rows[0]?.calendar_id || undefined;
+}
+
+function parseResource(body = {}) {
+  const name = String(body.name || "").trim();
+  if (!name) return { ok: false, error: "name_required" };
+
+  let services = null;
+  if (body.services != null) {
+    if (!Array.isArray(body.services)) return { ok: false, error: "invalid_services" };
+    const known = Object.keys(getConfig().services || {});
+    if (body.services.some((s) => !known.includes(s))) return { ok: false, error: "invalid_services" };
+    services = body.services.length ? body.services : null;
+  }
+
+  let hours = null;
+  if (body.hours != null) {
+    for (const kind of Object.keys(body.hours)) {
+      const h = body.hours[kind];
+      if (!["weekday", "weekend"].includes(kind) || !HM.test(h?.start || "") || !HM.test(h?.end || "") || h.end <= h.start) {
+        return { ok: false, error: "invalid_hours" };
+      }
+    }
+    hours = body.hours;
+  }
+
+  return {
+    ok: true,
+    value: {
+      name,
+      services,
+      hours,
+      calendar_id: body.calendar_id ? String(body.calendar_id) : null,
+      active: body.active !== false,
+    },
+  };
+}
+
+/* --------------------------- admin routes --------------------------- */
+
+router.get("/", async (_req, res) => {
+  try {
+    res.json({ ok: true, rows: await listResources() });
+  } catch (e) {
+    console.error("[admin/resources] list", e);
+    res.status(500).json({ ok: false, error: "resources_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/resources
+ * Body: { name, services?: string[], hours?: { weekday?, weekend? }, calendar_id?, active? }
+ */
+router.post("/", async (req, res) => {
+  try {
+    const p = parseResource(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const v = p.value;
+    const r = await pool.query(
+      `INSERT INTO public.resources (name, services, hours, calendar_id, active)
+       VALUES ($1,$2,$3,$4,$5) RETURNING id, name, services, hours, calendar_id, active`,
+      [v.name, v.services, v.hours ? JSON.stringify(v.hours) : null, v.calendar_id, v.active]
+    );
+    res.json({ ok: true, resource: r.rows[0] });
+  } catch (e) {
+    console.error("[admin/resources] create", e);
+    res.status(500).json({ ok: false, error: "resource_create_failed" });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const p = parseResource(req.body);
+    if (!p.ok) return res.status(400).json({ ok: false, error: p.error });
+    const v = p.value;
+    const r = await pool.query(
+      `UPDATE public.resources
+          SET name=$2, services=$3, hours=$4, calendar_id=$5, active=$6
+        WHERE id=$1
+        RETURNING id, name, services, hours, calendar_id, active`,
+      [Number(req.params.id), v.name, v.services, v.hours ? JSON.stringify(v.hours) : null, v.calendar_id, v.active]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, resource: r.rows[0] });
+  } catch (e) {
+    console.error("[admin/resources] update", e);
+    res.status(500).json({ ok: false, error: "resource_update_failed" });
+  }
+});
+
+// Resources keep their booking history, so "delete" only deactivates.
+router.delete("/:id", async (req, res) => {
+  try {
+    const r = await pool.query(`UPDATE public.resources SET active=false WHERE id=$1`, [Number(req.params.id)]);
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[admin/resources] deactivate", e);
+    res.status(500).json({ ok: false, error: "resource_delete_failed" });
+  }
+});
+
+export default router;
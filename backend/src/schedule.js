@@ -0,0 +1,191 @@
+// backend/src/schedule.js
+import { DateTime } from "luxon";
+import { getConfig } from "./config.js";
+import { sizedMinutes } from "./sizes.js";
+
+/**
+ * The one schedule engine. Everything that offers or accepts a slot goes through here:
+ *   - GET /api/availability (availability.js)
+ *   - POST /api/pay/create-checkout-session and the one-off webhook (payments.js)
+ *   - POST /api/credits/book-with-credit (credits.js)
+ *
+ * It owns working hours, the fixed start-time families, buffers, lead time and horizon
+ * (all read from getConfig().schedule). It is pure: callers pass in the qualified
+ * resources (resources.js) and what is busy on each.
+ */
+
+export const TZ = getConfig().schedule.tz;
+
+const hm = (str) => { const [h, m] = str.split(":").map(Number); return h * 60 + (m || 0); };
+const fmtHM = (min) => `${String(Math.floor(min / 60)).padStart(2, "0")}:${String(min % 60).padStart(2, "0")}`;
+const toDT = (v) => (v instanceof Date ? DateTime.fromJSDate(v) : DateTime.fromISO(String(v)));
+
+export const dayKeyOf = (iso) => toDT(iso).setZone(TZ).toFormat("yyyy-LL-dd");
+
+function isWeekend(dayKey) {
+  const w = DateTime.fromISO(dayKey, { zone: TZ }).weekday;
+  return w === 6 || w === 7;
+}
+
+/** Known add-on keys from a client list ("wax,polish" or an array), de-duplicated. */
+export function cleanAddons(list) {
+  const arr = Array.isArray(list) ? list : String(list || "").split(",");
+  const known = getConfig().addons || {};
+  return [...new Set(arr.map((a) => String(a).trim()).filter((a) => known[a]))];
+}
+
+/**
+ * Minutes a service occupies, including the extra minutes of its add-ons,
+ * each scaled for the vehicle size. Memberships book their visit service.
+ */
+export function serviceDuration(service_key, addons = [], size = null) {
+  const cfg = getConfig();
+  const svc = cfg.services?.[service_key];
+  if (!svc) return null;
+  const base = svc.visitService ? cfg.services[svc.visitService]?.duration || svc.duration : svc.duration;
+  if (!base) return null;
+  return cleanAddons(addons).reduce(
+    (m, k) => m + sizedMinutes(cfg.addons[k].duration || 0, size),
+    sizedMinutes(base, size)
+  );
+}
+
+/**
+ * Bookable window relative to `now`: nothing before now + lead time,
+ * nothing after the end of the day `horizon_months` ahead.
+ */
+export function bookingWindow(now = DateTime.now()) {
+  const sch = getConfig().schedule;
+  const nowZ = now.setZone(TZ);
+  const minStart = nowZ.plus({ minutes: sch.lead_minutes });
+  const horizonEnd = nowZ.plus({ months: sch.horizon_months }).endOf("day");
+  return {
+    minStart,
+    horizonEnd,
+    earliestKey: minStart.toFormat("yyyy-LL-dd"),
+    latestKey: horizonEnd.toFormat("yyyy-LL-dd"),
+  };
+}
+
+/**
+ * Local "HH:MM" start times for a day and duration.
+ * A configured family (e.g. weekday_75) wins; otherwise starts are generated from the
+ * working hours, spacing jobs by duration + buffer and allowing a capped overrun.
+ * `hours` is a resource's own working hours ({ weekday?, weekend? }); where it covers the
+ * day type, starts are generated from it instead of the shared families.
+ */
+export function startsForDay(dayKey, durationMin, hours = null) {
+  const sch = getConfig().schedule;
+  const kind = isWeekend(dayKey) ? "weekend" : "weekday";
+  const own = hours?.[kind];
+  const family = sch.families?.[`${kind}_${durationMin}`];
+  if (!own && family?.length) return family.slice();
+
+  const window = own || sch.hours[kind];
+  const hardEnd = hm(window.end) + sch.overrun_max_minutes;
+  const res = [];
+  for (let t = hm(window.start); t + durationMin <= hardEnd; t += durationMin + sch.buffer_minutes) {
+    res.push(fmtHM(t));
+  }
+  return res;
+}
+
+/** All candidate slots of a day (UTC ISO strings), before lead time or clashes are applied. */
+export function slotsForDay(dayKey, durationMin, hours = null) {
+  const day = DateTime.fromISO(dayKey, { zone: TZ });
+  return startsForDay(dayKey, durationMin, hours).map((t) => {
+    const [H, M] = t.split(":").map(Number);
+    const start = day.set({ hour: H, minute: M, second: 0, millisecond: 0 });
+    return {
+      start_iso: start.toUTC().toISO(),
+      end_iso: start.plus({ minutes: durationMin }).toUTC().toISO(),
+    };
+  });
+}
+
+export function overlaps(aS, aE, bS, bE) {
+  return toDT(aS) < toDT(bE) && toDT(aE) > toDT(bS);
+}
+
+/**
+ * Month view consumed by the React Calendar and Times steps.
+ *
+ * @param {object}  p
+ * @param {string}  p.month       "YYYY-MM"; defaults to the month of the earliest bookable day
+ * @param {number}  p.durationMin slot length in minutes
+ * @param {Array<{id:number, hours?:object, busy:Array<{start:string,end:string}>}>} [p.resources]
+ *        qualified resources with their own busy intervals; a slot is available while ANY
+ *        resource offering that start is free
+ * @param {Array<{start:string,end:string}>} [p.busy] single-resource shorthand (no `resources`)
+ * @returns {{
+ *   month: string,              // "YYYY-MM" actually rendered
+ *   earliest_key: string,       // first bookable day "YYYY-MM-DD" (lead time applied)
+ *   latest_key: string,         // last bookable day "YYYY-MM-DD" (horizon)
+ *   days: Object<string, Array<{ start_iso: string, end_iso: string, available: boolean }>>
+ * }}
+ * `days` only contains bookable days that have at least one slot after the lead time;
+ * taken slots are kept with available:false so the UI can grey them out.
+ */
+export function buildMonth({ month, durationMin, busy = [], resources, now = DateTime.now() }) {
+  const { minStart, earliestKey, latestKey } = bookingWindow(now);
+  const m = /^\d{4}-\d{2}$/.test(month || "") ? month : earliestKey.slice(0, 7);
+  const candidates = resources || [{ id: null, hours: null, busy }];
+
+  const days = {};
+  const first = DateTime.fromISO(`${m}-01`, { zone: TZ });
+  for (let d = first; d.month === first.month; d = d.plus({ days: 1 })) {
+    const key = d.toFormat("yyyy-LL-dd");
+    if (key < earliestKey || key > latestKey) continue;
+
+    const byStart = new Map();
+    for (const r of candidates) {
+      for (const s of slotsForDay(key, durationMin, r.hours)) {
+        if (toDT(s.start_iso) < minStart) continue;
+        const free = !(r.busy || []).some((b) => overlaps(s.start_iso, s.end_iso, b.start, b.end));
+        const prev = byStart.get(s.start_iso);
+        byStart.set(s.start_iso, { ...s, available: (prev?.available || false) || free });
+      }
+    }
+    const slots = [...byStart.values()].sort((a, b) => toDT(a.start_iso) - toDT(b.start_iso));
+    if (slots.length) days[key] = slots;
+  }
+
+  return { month: m, earliest_key: earliestKey, latest_key: latestKey, days };
+}
+
+/** UTC range covering a "YYYY-MM" month in local time (for loading busy intervals). */
+export function monthRange(month) {
+  const first = DateTime.fromISO(`${month}-01`, { zone: TZ });
+  return { startISO: first.toUTC().toISO(), endISO: first.plus({ months: 1 }).toUTC().toISO() };
+}
+
+/**
+ * Validate a requested start against the schedule and derive the canonical end.
+ * Write paths call this instead of trusting the client's end_iso.
+ * With `resources` (qualified resources, preference order) the result also lists the ids
+ * of those whose hours offer this start; the write path picks a free one under the lock.
+ * `addons` and the vehicle `size` set the slot length (serviceDuration).
+ * Returns { ok:true, start_iso, end_iso, resource_ids } or { ok:false, error }.
+ */
+export function resolveSlot({ service_key, addons = [], size = null, start_iso, resources, now = DateTime.now() }) {
+  const durationMin = serviceDuration(service_key, addons, size);
+  if (!durationMin) return { ok: false, error: "invalid_service" };
+  if (!start_iso || Number.isNaN(Date.parse(start_iso))) return { ok: false, error: "invalid_slot" };
+
+  const start = toDT(start_iso);
+  const key = dayKeyOf(start_iso);
+  const { minStart, latestKey } = bookingWindow(now);
+  if (start < minStart || key > latestKey) return { ok: false, error: "slot_outside_window" };
+
+  const candidates = resources || [{ id: null, hours: null }];
+  let match = null;
+  const resource_ids = [];
+  for (const r of candidates) {
+    const m = slotsForDay(key, durationMin, r.hours).find((s) => toDT(s.start_iso).toMillis() === start.toMillis());
+    if (!m) continue;
+    match = m;
+    if (r.id != null) resource_ids.push(r.id);
+  }
+  if (!match) return { ok: false, error: "invalid_slot" };
+  return { ok: true, start_iso: match.start_iso, end_iso: match.end_iso, resource_ids };
+}
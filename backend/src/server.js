@@ -1,14 +1,30 @@
 // backend/src/server.js
 import express from "express";
 import cors from "cors";
-import { pool } from "./db.js";
+import { initDB } from "./db.js";
+import { initStore } from "./store.js";
 
-import baseRoutes from "./routes.js";                // /api (config, availability, first-time)
+import baseRoutes from "./routes.js";                // /api (config, availability, quote)
 import auth from "./auth.js";                        // /api/auth
 import credits from "./credits.js";                  // /api/credits
 import my from "./my.js";                            // /api/my
-import memberships, { handleMembershipWebhook } from "./memberships.js"; // /api/memberships + webhook
-import { mountPaymentsWebhook, mountPaymentsRoutes } from "./payments.js"; // one-off webhook & routes
+import memberships, { initMemberships } from "./memberships.js"; // /api/memberships
+import { mountPaymentsRoutes } from "./payments.js"; // one-off checkout routes
+import stripeEvents, { initWebhooks, mountStripeWebhooks } from "./webhooks.js"; // Stripe webhooks + /api/admin/stripe-events
+import "./stripeHandlers.js";                      // registers the Stripe event handlers
+import admin from "./admin.js";                      // /api/admin
+import closures, { initClosures } from "./closures.js"; // /api/admin/closures
+import resources, { initResources } from "./resources.js"; // /api/admin/resources
+import promos, { initPromos } from "./promos.js";        // /api/admin/promos
+import adjustments from "./adjustments.js";            // /api/admin/credits
+import waitlist, { initWaitlist } from "./waitlist.js";
+import vouchers, { initVouchers } from "./vouchers.js"; // /api/vouchers
+import packs, { initPacks } from "./packs.js";          // /api/packs
+import { initVehicles } from "./vehicles.js";
+import { initIntro } from "./intro.js";
+import { initReferrals } from "./referrals.js";
+import { initLedger } from "./ledger.js";
+import { startJobs } from "./jobs.js";
 
 /* ============================ ENV & CORS ============================ */
 const PORT = Number(process.env.PORT || 10000);
@@ -54,8 +70,7 @@ const app = express();
  * STRIPE WEBHOOKS MUST SEE RAW BODY (NO express.json BEFORE THESE).
  * Mount both webhooks first.
  */
-app.post("/api/webhooks/memberships", express.raw({ type: "application/json" }), handleMembershipWebhook);
-mountPaymentsWebhook(app); // mounts: POST /api/webhooks/stripe with express.raw
+mountStripeWebhooks(app); // POST /api/webhooks/stripe and /api/webhooks/memberships with express.raw
 
 // Now mount global CORS and the normal JSON parser.
 app.use(cors(corsOptions));
@@ -71,13 +86,30 @@ app.use("/api/auth", auth);
 // Credits flow (book with credit, etc.)
 app.use("/api/credits", credits);
 
-// “My account” endpoints (bookings list, etc.)
+// “My account” endpoints (bookings list, saved vehicles, etc.)
 app.use("/api/my", my);
 
+// Waitlist for fully booked days (join, leave, claim links)
+app.use("/api/waitlist", waitlist);
+
+// Gift vouchers (buy, look up, redeem as credit)
+app.use("/api/vouchers", vouchers);
+
+// Prepaid credit packs (list, buy)
+app.use("/api/packs", packs);
+
 // Membership flows (subscribe, portal, etc.)
 app.use("/api/memberships", memberships);
 
-// Public routes bundle: /api/config, /api/availability, /api/first-time
+// Admin (token-gated): closures, resources, promo codes, recent bookings
+app.use("/api/admin/closures", closures);
+app.use("/api/admin/resources", resources);
+app.use("/api/admin/promos", promos);
+app.use("/api/admin/credits", adjustments);
+app.use("/api/admin/stripe-events", stripeEvents);
+app.use("/api/admin", admin);
+
+// Public routes bundle: /api/config, /api/availability, /api/quote
 app.use("/api", baseRoutes);
 
 // One-off payments (checkout, confirm) — normal JSON routes
@@ -89,8 +121,21 @@ app.use("/api", (_req, res) => res.status(404).json({ error: "not_found" }));
 /* ============================ START ============================ */
 async function start() {
   try {
-    await pool.query("SELECT 1");
-    console.log("[db] schema ensured");
+    await initDB();    // tables, columns, indexes (logs "[db] schema ensured")
+    await initStore(); // booking_holds (checkout slot holds)
+    await initResources(); // detailers/vans; after initStore (adds resource_id to holds)
+    await initClosures();
+    await initWaitlist();
+    await initVehicles();
+    await initIntro();
+    await initPromos();
+    await initVouchers();
+    await initReferrals();
+    await initPacks();
+    await initMemberships();
+    await initLedger();  // credit lots; after initPacks (grants may carry a session id)
+    await initWebhooks(); // stored Stripe events and per-handler state
+    startJobs();       // expired-hold sweeper (feeds waitlist offers), referral rewards, webhook retries
   } catch (e) {
     console.error("[db] connection failed:", e?.message || e);
   }
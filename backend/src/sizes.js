@@ -0,0 +1,26 @@
+// backend/src/sizes.js
+import { getConfig } from "./config.js";
+
+/**
+ * Vehicle size classes (config.vehicle_sizes). Every service and add-on is scaled by the
+ * class: price × price_multiplier (to the penny), minutes × duration_multiplier (to 5 min).
+ */
+
+export function vehicleSize(key) {
+  const sizes = getConfig().vehicle_sizes;
+  return sizes[key] ? key : getConfig().default_vehicle_size;
+}
+
+export function sizeName(key) {
+  return getConfig().vehicle_sizes[vehicleSize(key)].name;
+}
+
+export function sizedPrice(amount, size) {
+  const m = getConfig().vehicle_sizes[vehicleSize(size)].price_multiplier;
+  return Math.round(amount * m * 100) / 100;
+}
+
+export function sizedMinutes(minutes, size) {
+  const m = getConfig().vehicle_sizes[vehicleSize(size)].duration_multiplier;
+  return Math.round((minutes * m) / 5) * 5;
+}
@@ -1,5 +1,7 @@
 // backend/src/store.js
-import { pool } from "./db.js";
+import { randomUUID } from "crypto";
+import { pool, withSlotLock, firstFreeResource } from "./db.js";
+import { padForTravel, maxTravelMinutes } from "./area.js";
 
 /**
  * Creates the holds table if it does not exist.
@@ -18,6 +20,15 @@ export async function initStore() {
     );
   `);
 
+  // Checkout holds: the Stripe session that owns the hold, and the token in its cancel URL.
+  await pool.query(`ALTER TABLE public.booking_holds ADD COLUMN IF NOT EXISTS stripe_session_id TEXT;`);
+  await pool.query(`ALTER TABLE public.booking_holds ADD COLUMN IF NOT EXISTS token TEXT;`);
+  // Where the held job is, for travel gaps to neighbouring jobs (area.js).
+  await pool.query(`ALTER TABLE public.booking_holds ADD COLUMN IF NOT EXISTS postcode TEXT;`);
+
+  await pool.query(`CREATE INDEX IF NOT EXISTS booking_holds_session_idx
+                    ON public.booking_holds (stripe_session_id);`);
+
   await pool.query(`CREATE INDEX IF NOT EXISTS booking_holds_time_idx
                     ON public.booking_holds (start_time, end_time);`);
 
@@ -25,69 +36,121 @@ export async function initStore() {
                     ON public.booking_holds (expires_at);`);
 }
 
+/* ----------------------------- freed slots ----------------------------- */
+
+// Listeners told whenever booked or held time becomes free again (waitlist.js).
+const freedListeners = [];
+
+export function onSlotFreed(fn) {
+  freedListeners.push(fn);
+}
+
+/**
+ * Report a freed interval { start, end, hold_id? } (ISO strings or Dates): a cancelled or moved
+ * booking, or a released/expired hold. Listeners run in the background and never throw here.
+ */
+export function slotFreed({ start, end, hold_id = null }) {
+  const iv = { start: new Date(start).toISOString(), end: new Date(end).toISOString(), hold_id };
+  for (const fn of freedListeners) {
+    Promise.resolve()
+      .then(() => fn(iv))
+      .catch((e) => console.warn("[holds] slot-freed listener failed", e?.message || e));
+  }
+}
+
 /**
  * Deletes any holds whose expiry has passed.
  * Returns number of rows deleted (for logging/observability).
  */
 export async function cleanupExpiredHolds() {
   const r = await pool.query(
-    `DELETE FROM public.booking_holds WHERE expires_at < now() RETURNING id`
+    `DELETE FROM public.booking_holds WHERE expires_at < now() RETURNING id, start_time, end_time`
   );
   const n = r.rowCount || 0;
   if (n) console.log(`[holds] cleaned ${n} expired holds`);
+  for (const h of r.rows || []) slotFreed({ start: h.start_time, end: h.end_time, hold_id: h.id });
   return n;
 }
 
 /**
- * Returns busy intervals between [startISO, endISO) by combining:
- *   - confirmed bookings (public.bookings)
- *   - non-expired holds (public.booking_holds)
- *
- * Output format: Array<{ start: string, end: string }>
- * where start/end are ISO strings (UTC).
+ * Places an expiring hold on [startISO, endISO) on the first of `resource_ids` that has
+ * nothing (booking or live hold) overlapping it, travel gaps to `postcode` included.
+ * Returns the hold row { id, token, expires_at, resource_id } or null when the time is already taken.
  */
-export async function getBusyIntervals(startISO, endISO) {
-  // Guard inputs
-  if (!startISO || !endISO) return [];
+export async function createHold({ user_id = null, service_key = null, start_iso, end_iso, ttl_minutes, resource_ids = [], postcode = null }) {
+  return withSlotLock(async (client) => {
+    const resourceId = await firstFreeResource(client, resource_ids, start_iso, end_iso, {}, postcode);
+    if (!resourceId) return null;
 
-  // Bookings that overlap the window
-  const booked = await pool.query(
-    `
-    SELECT start_time, end_time
-      FROM public.bookings
-     WHERE start_time < $2
-       AND end_time   > $1
-    `,
-    [startISO, endISO]
+    const r = await client.query(
+      `
+      INSERT INTO public.booking_holds (user_id, service_key, start_time, end_time, expires_at, token, resource_id, postcode)
+      VALUES ($1, $2, $3, $4, now() + make_interval(mins => $5), $6, $7, $8)
+      RETURNING id, token, expires_at, resource_id
+      `,
+      [user_id, service_key, start_iso, end_iso, ttl_minutes, randomUUID(), resourceId, postcode || null]
+    );
+    console.log(`[holds] placed id=${r.rows[0].id} resource=${resourceId} ${start_iso} → ${end_iso} for ${ttl_minutes}m`);
+    return r.rows[0];
+  });
+}
+
+/** Keeps an existing hold alive for another `ttl_minutes` (e.g. a waitlist claim going to checkout). */
+export async function extendHold(holdId, ttl_minutes) {
+  const r = await pool.query(
+    `UPDATE public.booking_holds SET expires_at = now() + make_interval(mins => $2)
+      WHERE id=$1 AND expires_at > now()
+      RETURNING id, token, expires_at, resource_id`,
+    [holdId, ttl_minutes]
   );
+  return r.rows[0] || null;
+}
 
-  // Active holds that overlap the window
-  const holds = await pool.query(
-    `
-    SELECT start_time, end_time
-      FROM public.booking_holds
-     WHERE expires_at > now()
-       AND start_time < $2
-       AND end_time   > $1
-    `,
-    [startISO, endISO]
+/**
+ * Puts a hold extended for a checkout back as it was (`expires_at`, no session) when that
+ * checkout could not start, so a waitlist claim survives a failed attempt.
+ */
+export async function restoreHold(holdId, expires_at) {
+  await pool.query(
+    `UPDATE public.booking_holds SET expires_at=$2, stripe_session_id=NULL WHERE id=$1`,
+    [holdId, expires_at]
   );
+}
+
+/** Links a hold to the Stripe Checkout Session created for it. */
+export async function attachHoldSession(holdId, sessionId) {
+  await pool.query(`UPDATE public.booking_holds SET stripe_session_id=$2 WHERE id=$1`, [holdId, sessionId]);
+}
 
-  // Normalize to ISO strings
-  const toIsoPair = (row) => {
-    // node-postgres returns TIMESTAMPTZ as string by default; be defensive either way.
-    const s = typeof row.start_time === "string" ? row.start_time : new Date(row.start_time).toISOString();
-    const e = typeof row.end_time   === "string" ? row.end_time   : new Date(row.end_time).toISOString();
-    return { start: s, end: e };
-  };
-
-  const all = [
-    ...(booked.rows || []).map(toIsoPair),
-    ...(holds.rows  || []).map(toIsoPair),
-  ];
-
-  // Optional: merge overlaps to reduce noise for the availability combiner.
-  // Simple O(n log n) merge by start time.
+/**
+ * Drops a hold by id, Stripe session id or cancel token (first one given wins).
+ * Returns the released row, or null if there was nothing to release.
+ */
+export async function releaseHold({ id, stripe_session_id, token }) {
+  const [col, val] =
+    id ? ["id", id] : stripe_session_id ? ["stripe_session_id", stripe_session_id] : token ? ["token", token] : [];
+  if (!col) return null;
+  const r = await pool.query(
+    `DELETE FROM public.booking_holds WHERE ${col} = $1 RETURNING id, stripe_session_id, start_time, end_time`,
+    [val]
+  );
+  if (r.rowCount) {
+    const h = r.rows[0];
+    console.log(`[holds] released id=${h.id} (${col})`);
+    slotFreed({ start: h.start_time, end: h.end_time, hold_id: h.id });
+  }
+  return r.rows[0] || null;
+}
+
+// node-postgres returns TIMESTAMPTZ as Date by default; be defensive either way.
+function toIsoPair(row) {
+  const s = typeof row.start_time === "string" ? row.start_time : new Date(row.start_time).toISOString();
+  const e = typeof row.end_time   === "string" ? row.end_time   : new Date(row.end_time).toISOString();
+  return { start: s, end: e };
+}
+
+// Merge overlapping intervals to reduce noise for the availability combiner. O(n log n).
+function mergeIntervals(all) {
   all.sort((a, b) => new Date(a.start) - new Date(b.start));
   const merged = [];
   for (const iv of all) {
@@ -100,6 +163,59 @@ export async function getBusyIntervals(startISO, endISO) {
       merged.push(iv);
     }
   }
-
   return merged;
 }
+
+// Bookings and live holds overlapping [startISO, endISO), with their resource.
+async function busyRows(startISO, endISO) {
+  const r = await pool.query(
+    `
+    SELECT resource_id, start_time, end_time, customer_postcode AS postcode
+      FROM public.bookings
+     WHERE start_time < $2
+       AND end_time   > $1
+       AND status IS DISTINCT FROM 'cancelled'
+    UNION ALL
+    SELECT resource_id, start_time, end_time, postcode
+      FROM public.booking_holds
+     WHERE expires_at > now()
+       AND start_time < $2
+       AND end_time   > $1
+    `,
+    [startISO, endISO]
+  );
+  return r.rows || [];
+}
+
+/**
+ * Returns busy intervals between [startISO, endISO) by combining:
+ *   - confirmed bookings (public.bookings)
+ *   - non-expired holds (public.booking_holds)
+ * across all resources, or only `resourceId` when given.
+ *
+ * Output format: Array<{ start: string, end: string }>
+ * where start/end are ISO strings (UTC).
+ */
+export async function getBusyIntervals(startISO, endISO, resourceId = null) {
+  if (!startISO || !endISO) return [];
+  const rows = await busyRows(startISO, endISO);
+  return mergeIntervals(rows.filter((r) => resourceId == null || r.resource_id === resourceId).map(toIsoPair));
+}
+
+/**
+ * Same as getBusyIntervals, per resource: { [resource_id]: Array<{ start, end }> }.
+ * With `postcode` (where the new job would be) each job is widened by the travel gap.
+ */
+export async function getBusyByResource(startISO, endISO, { postcode = null } = {}) {
+  if (!startISO || !endISO) return {};
+  // Jobs just outside the window can still push their travel gap into it.
+  const pad = postcode ? maxTravelMinutes() * 60000 : 0;
+  const from = new Date(Date.parse(startISO) - pad).toISOString();
+  const to = new Date(Date.parse(endISO) + pad).toISOString();
+  const byRes = {};
+  for (const row of await busyRows(from, to)) {
+    (byRes[row.resource_id] ||= []).push(padForTravel(toIsoPair(row), row.postcode, postcode));
+  }
+  for (const id of Object.keys(byRes)) byRes[id] = mergeIntervals(byRes[id]);
+  return byRes;
+}
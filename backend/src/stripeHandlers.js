@@ -0,0 +1,31 @@
+// backend/src/stripeHandlers.js
+import { onStripeEvent } from "./webhooks.js";
+import { recordOneOffBooking, releaseExpiredCheckout } from "./payments.js";
+import { issueVoucher } from "./vouchers.js";
+import { grantCreditPack } from "./packs.js";
+import {
+  membershipCheckoutCompleted, membershipInvoicePaid, clearPaymentFailure,
+  syncSubscription, paymentFailed, membershipChargeRefunded,
+} from "./memberships.js";
+
+/**
+ * Every Stripe event handler, in one place. Imported for its side effect by server.js and
+ * the replay CLI. Handler names are the idempotency keys in stripe_event_handlers: rename
+ * one and events already handled under the old name would run again on replay.
+ * Each handler ignores sessions/invoices that are not its own (metadata kind, mode).
+ */
+
+// Checkout Sessions
+onStripeEvent("checkout.session.completed", "oneoff_booking", recordOneOffBooking);
+onStripeEvent("checkout.session.completed", "gift_voucher", issueVoucher);
+onStripeEvent("checkout.session.completed", "credit_pack", grantCreditPack);
+onStripeEvent("checkout.session.completed", "membership_checkout", membershipCheckoutCompleted);
+onStripeEvent("checkout.session.expired", "release_checkout", releaseExpiredCheckout);
+
+// Memberships
+onStripeEvent("invoice.payment_succeeded", "membership_credits", membershipInvoicePaid);
+onStripeEvent("invoice.payment_succeeded", "clear_payment_failure", clearPaymentFailure);
+onStripeEvent("invoice.payment_failed", "payment_failed", paymentFailed);
+onStripeEvent("customer.subscription.updated", "sync_subscription", syncSubscription);
+onStripeEvent("customer.subscription.deleted", "sync_subscription", syncSubscription);
+onStripeEvent("charge.refunded", "refund_credits", membershipChargeRefunded);
@@ -0,0 +1,149 @@
+// backend/src/vehicles.js
+import { Router } from "express";
+import { pool } from "./db.js";
+import { getConfig } from "./config.js";
+
+/**
+ * Customers' saved vehicles. Mounted under /api/my/vehicles (my.js applies authMiddleware).
+ * A booking references one (bookings.vehicle_id); its size class prices and times the booking
+ * and the registration goes into the calendar event so the detailer finds the right car.
+ */
+
+const router = Router();
+
+export async function initVehicles() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.vehicles (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      make TEXT,
+      model TEXT,
+      colour TEXT,
+      registration TEXT NOT NULL,
+      size_class TEXT NOT NULL,
+      archived BOOLEAN DEFAULT false,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS vehicles_user_idx ON public.vehicles (user_id);`);
+  await pool.query(`ALTER TABLE public.bookings ADD COLUMN IF NOT EXISTS vehicle_id INTEGER;`);
+}
+
+const COLS = `id, make, model, colour, registration, size_class, created_at`;
+
+/** "ab12cde" → "AB12 CDE" (current-style plates); other formats are only upper-cased. */
+function normRegistration(reg) {
+  const r = String(reg || "").toUpperCase().replace(/\s+/g, "");
+  return /^[A-Z]{2}\d{2}[A-Z]{3}$/.test(r) ? `${r.slice(0, 4)} ${r.slice(4)}` : r;
+}
+
+/** "Blue Ford Fiesta (AB12 CDE)" */
+export function vehicleLabel(v) {
+  const desc = [v.colour, v.make, v.model].filter(Boolean).join(" ");
+  return desc ? `${desc} (${v.registration})` : v.registration;
+}
+
+/**
+ * A live vehicle of the customer identified by user id or (for guest-style checkout) email.
+ * Returns null when it does not exist or belongs to someone else.
+ */
+export async function findVehicle(vehicleId, { userId = null, email = "" } = {}) {
+  if (!Number.isInteger(Number(vehicleId)) || !Number(vehicleId)) return null;
+  const r = await pool.query(
+    `SELECT v.id, v.make, v.model, v.colour, v.registration, v.size_class
+       FROM public.vehicles v
+       JOIN public.users u ON u.id = v.user_id
+      WHERE v.id = $1 AND NOT v.archived
+        AND (u.id = $2 OR (lower(u.email) = lower($3) AND $3 <> ''))`,
+    [Number(vehicleId), userId, String(email || "")]
+  );
+  return r.rows[0] || null;
+}
+
+function parseVehicle(body = {}) {
+  const registration = normRegistration(body.registration);
+  if (!registration) return { ok: false, error: "registration_required" };
+  if (!getConfig().vehicle_sizes[body.size_class]) return { ok: false, error: "invalid_size_class" };
+  const text = (x) => (String(x || "").trim() || null);
+  return {
+    ok: true,
+    value: { make: text(body.make), model: text(body.model), colour: text(body.colour), registration, size_class: body.size_class },
+  };
+}
+
+/* --------------------------- routes --------------------------- */
+
+router.get("/", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const r = await pool.query(
+      `SELECT ${COLS} FROM public.vehicles WHERE user_id=$1 AND NOT archived ORDER BY id ASC`,
+      [req.user.id]
+    );
+    res.json({ ok:true, rows: r.rows || [] });
+  } catch (e) {
+    console.error("[my/vehicles] list", e);
+    res.status(500).json({ ok:false, error:"vehicles_failed" });
+  }
+});
+
+/**
+ * POST /api/my/vehicles
+ * Body: { make?, model?, colour?, registration, size_class }
+ */
+router.post("/", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const p = parseVehicle(req.body);
+    if (!p.ok) return res.status(400).json({ ok:false, error: p.error });
+    const v = p.value;
+    const r = await pool.query(
+      `INSERT INTO public.vehicles (user_id, make, model, colour, registration, size_class)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING ${COLS}`,
+      [req.user.id, v.make, v.model, v.colour, v.registration, v.size_class]
+    );
+    res.json({ ok:true, vehicle: r.rows[0] });
+  } catch (e) {
+    console.error("[my/vehicles] create", e);
+    res.status(500).json({ ok:false, error:"vehicle_save_failed" });
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const p = parseVehicle(req.body);
+    if (!p.ok) return res.status(400).json({ ok:false, error: p.error });
+    const v = p.value;
+    const r = await pool.query(
+      `UPDATE public.vehicles
+          SET make=$3, model=$4, colour=$5, registration=$6, size_class=$7
+        WHERE id=$1 AND user_id=$2 AND NOT archived
+        RETURNING ${COLS}`,
+      [Number(req.params.id), req.user.id, v.make, v.model, v.colour, v.registration, v.size_class]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok:false, error:"not_found" });
+    res.json({ ok:true, vehicle: r.rows[0] });
+  } catch (e) {
+    console.error("[my/vehicles] update", e);
+    res.status(500).json({ ok:false, error:"vehicle_save_failed" });
+  }
+});
+
+// Bookings keep pointing at the vehicle, so removing only archives it.
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const r = await pool.query(
+      `UPDATE public.vehicles SET archived=true WHERE id=$1 AND user_id=$2 AND NOT archived`,
+      [Number(req.params.id), req.user.id]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok:false, error:"not_found" });
+    res.json({ ok:true });
+  } catch (e) {
+    console.error("[my/vehicles] delete", e);
+    res.status(500).json({ ok:false, error:"vehicle_delete_failed" });
+  }
+});
+
+export default router;
@@ -0,0 +1,375 @@
+// backend/src/vouchers.js
+import express from "express";
+import crypto from "crypto";
+import Stripe from "stripe";
+import { pool } from "./db.js";
+import { authMiddleware } from "./auth.js";
+import { getConfig } from "./config.js";
+import { notifyCustomer } from "./notify.js";
+import { grantCredits } from "./ledger.js";
+
+/**
+ * Gift vouchers, bought through Stripe Checkout and redeemed by code.
+ *   - kind 'amount':  worth a money amount; taken off one-off checkouts (quote.js) until the balance is used up
+ *   - kind 'service': worth one visit of a service; redeemed into a credit_ledger credit
+ * `balance` is what is left, in pence (service vouchers: the service price until redeemed, then 0).
+ * Open checkouts hold their share of the balance (voucher_redemptions 'pending') until paid or expired.
+ */
+
+const router = express.Router();
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+const APP_ORIGIN =
+  (process.env.PUBLIC_APP_ORIGIN ||
+    process.env.FRONTEND_PUBLIC_URL ||
+    "https://book.gmautodetailing.uk").replace(/\/+$/, "");
+
+const safe = (s) => (s ?? "").toString().trim();
+const pence = (amount) => Math.round(amount * 100);
+
+export const normVoucherCode = (s) => safe(s).toUpperCase();
+
+// No 0/O or 1/I so codes survive being read out or copied from paper.
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+function newCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = [...bytes].map((b) => ALPHABET[b % ALPHABET.length]).join("");
+  return `GV-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+export async function initVouchers() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.gift_vouchers (
+      id SERIAL PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      kind TEXT NOT NULL,                 -- 'amount' | 'service'
+      service_key TEXT,
+      amount INTEGER NOT NULL,            -- face value, pence
+      balance INTEGER NOT NULL,           -- what is left, pence
+      buyer_name TEXT,
+      buyer_email TEXT,
+      recipient_name TEXT,
+      message TEXT,
+      stripe_session_id TEXT UNIQUE,
+      expires_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.voucher_redemptions (
+      id SERIAL PRIMARY KEY,
+      voucher_id INTEGER NOT NULL,
+      user_id INTEGER,
+      stripe_session_id TEXT UNIQUE,      -- checkout it paid towards
+      ledger_id INTEGER,                  -- credit it was turned into
+      amount INTEGER NOT NULL,            -- pence
+      status TEXT DEFAULT 'pending',      -- 'pending' (checkout open) | 'redeemed' | 'reversed' (booking cancelled)
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+}
+
+/* --------------------------- store --------------------------- */
+
+function publicVoucher(v) {
+  const cfg = getConfig();
+  return {
+    code: v.code,
+    kind: v.kind,
+    service_key: v.service_key,
+    service_name: v.service_key ? cfg.services[v.service_key]?.name || v.service_key : null,
+    amount: v.amount,
+    balance: v.balance,
+    currency: cfg.currency,
+    recipient_name: v.recipient_name,
+    message: v.message,
+    expires_at: v.expires_at,
+  };
+}
+
+async function findVoucher(code) {
+  const r = await pool.query(`SELECT * FROM public.gift_vouchers WHERE code=$1`, [normVoucherCode(code)]);
+  return r.rows[0] || null;
+}
+
+/**
+ * Check a money voucher for a checkout. Returns { ok:true, voucher } or { ok:false, error }.
+ * Service vouchers are turned into credits instead (POST /api/vouchers/redeem).
+ */
+export async function checkVoucher(code) {
+  if (!pool || !normVoucherCode(code)) return { ok: false, error: "voucher_invalid" };
+  const v = await findVoucher(code);
+  if (!v) return { ok: false, error: "voucher_invalid" };
+  if (v.expires_at && new Date(v.expires_at).getTime() <= Date.now()) return { ok: false, error: "voucher_expired" };
+  if (v.kind === "service") return { ok: false, error: "voucher_is_service" };
+  if (v.balance <= 0) return { ok: false, error: "voucher_used" };
+  return { ok: true, voucher: v };
+}
+
+/**
+ * Take `amount` off the balance for an open Checkout Session.
+ * False if the balance no longer covers it (someone else used the voucher meanwhile).
+ */
+export async function reserveVoucher(voucherId, { amount, user_id, stripe_session_id }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `UPDATE public.gift_vouchers SET balance = balance - $2 WHERE id=$1 AND balance >= $2 RETURNING id`,
+      [voucherId, amount]
+    );
+    if (!r.rowCount) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+    await client.query(
+      `INSERT INTO public.voucher_redemptions (voucher_id, user_id, stripe_session_id, amount)
+       VALUES ($1,$2,$3,$4)`,
+      [voucherId, user_id || null, stripe_session_id, amount]
+    );
+    await client.query("COMMIT");
+    return true;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/** Checkout paid: the reserved share is spent. */
+export async function confirmVoucher(stripe_session_id) {
+  await pool.query(
+    `UPDATE public.voucher_redemptions SET status='redeemed' WHERE stripe_session_id=$1`,
+    [stripe_session_id]
+  );
+}
+
+/** Checkout abandoned (or refunded before booking): put the reserved share back. */
+export async function releaseVoucher(stripe_session_id) {
+  const r = await pool.query(
+    `DELETE FROM public.voucher_redemptions
+      WHERE stripe_session_id=$1 AND status='pending'
+      RETURNING voucher_id, amount`,
+    [stripe_session_id]
+  );
+  for (const x of r.rows) {
+    await pool.query(`UPDATE public.gift_vouchers SET balance = balance + $2 WHERE id=$1`, [x.voucher_id, x.amount]);
+  }
+}
+
+/**
+ * The booking a voucher paid towards was cancelled: put the redeemed share back on the voucher
+ * (it keeps its own expiry). Returns { code, amount } (pence), or null if nothing was redeemed.
+ * Safe to repeat.
+ */
+export async function returnVoucher(stripe_session_id) {
+  if (!stripe_session_id) return null;
+  const r = await pool.query(
+    `WITH back AS (
+       UPDATE public.voucher_redemptions SET status='reversed'
+        WHERE stripe_session_id=$1 AND status='redeemed'
+        RETURNING voucher_id, amount
+     )
+     UPDATE public.gift_vouchers v SET balance = v.balance + back.amount
+       FROM back WHERE v.id = back.voucher_id
+     RETURNING v.code, back.amount`,
+    [stripe_session_id]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * Issue the voucher bought by a completed Checkout Session (kind 'voucher').
+ * Idempotent per session.
+ */
+export async function issueVoucher(s) {
+  const md = s.metadata || {};
+  if (md.kind !== "voucher") return;
+
+  const amount = Number(md.amount);
+  const { valid_months } = getConfig().vouchers;
+  for (let i = 0; i < 5; i++) {
+    const r = await pool.query(
+      `INSERT INTO public.gift_vouchers
+         (code, kind, service_key, amount, balance, buyer_name, buyer_email, recipient_name, message, stripe_session_id, expires_at)
+       VALUES ($1,$2,$3,$4,$4,$5,$6,$7,$8,$9, now() + make_interval(months => $10))
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [
+        newCode(),
+        md.voucher_kind === "service" ? "service" : "amount",
+        safe(md.service_key) || null,
+        amount,
+        safe(md.buyer_name),
+        safe(md.buyer_email || s.customer_details?.email).toLowerCase(),
+        safe(md.recipient_name),
+        safe(md.message),
+        s.id,
+        valid_months,
+      ]
+    );
+    if (r.rowCount) {
+      const v = r.rows[0];
+      console.log(`[vouchers] issued ${v.code} session=${s.id}`);
+      await notifyCustomer({
+        kind: "gift_voucher",
+        to: v.buyer_email,
+        subject: "Your GM Auto Detailing gift voucher",
+        text:
+          `Thank you! Your gift voucher code is ${v.code}.\n` +
+          `Printable voucher: ${APP_ORIGIN}/voucher.html?code=${v.code}`,
+      });
+      return;
+    }
+    // Conflict: either this session was already handled, or (rarely) the code was taken.
+    if (await voucherForSession(s.id)) return;
+  }
+  console.error(`[vouchers] could not issue a voucher for session=${s.id}`);
+}
+
+async function voucherForSession(sessionId) {
+  const r = await pool.query(`SELECT * FROM public.gift_vouchers WHERE stripe_session_id=$1`, [sessionId]);
+  return r.rows[0] || null;
+}
+
+/** What a voucher purchase costs, in pence; null if the request is not a valid voucher. */
+function voucherPrice({ kind, amount, service_key }) {
+  const cfg = getConfig();
+  if (kind === "service") {
+    const svc = cfg.services[service_key];
+    return svc && cfg.vouchers.services.includes(service_key) ? pence(svc.price) : null;
+  }
+  const a = Number(amount);
+  const { min_amount, max_amount } = cfg.vouchers;
+  return Number.isFinite(a) && a >= min_amount && a <= max_amount ? pence(a) : null;
+}
+
+/* --------------------------- routes --------------------------- */
+
+/**
+ * POST /api/vouchers/checkout
+ * Body: { kind:'amount'|'service', amount?: pounds, service_key?, buyer:{ name?, email }, recipient_name?, message?, origin? }
+ */
+router.post("/checkout", async (req, res) => {
+  try {
+    const { kind, amount, service_key, buyer, recipient_name, message, origin } = req.body || {};
+    const email = safe(buyer?.email).toLowerCase();
+    if (!email) return res.status(400).json({ ok: false, error: "missing_fields" });
+    const price = voucherPrice({ kind, amount, service_key });
+    if (!price) return res.status(400).json({ ok: false, error: "invalid_voucher" });
+
+    let base;
+    try { base = new URL(origin || APP_ORIGIN).origin; }
+    catch { base = APP_ORIGIN; }
+
+    const cfg = getConfig();
+    const label = kind === "service"
+      ? `Gift voucher – ${cfg.services[service_key].name}`
+      : `Gift voucher – £${(price / 100).toFixed(2)}`;
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      customer_email: email,
+      line_items: [{
+        price_data: { currency: cfg.currency, product_data: { name: label }, unit_amount: price },
+        quantity: 1,
+      }],
+      success_url: `${base}/voucher.html?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${base}/voucher.html`,
+      metadata: {
+        app: "gm",
+        kind: "voucher",
+        voucher_kind: kind === "service" ? "service" : "amount",
+        service_key: kind === "service" ? service_key : "",
+        amount: String(price),
+        buyer_name: safe(buyer?.name).slice(0, 200),
+        buyer_email: email,
+        recipient_name: safe(recipient_name).slice(0, 200),
+        message: safe(message).slice(0, 480),
+      },
+    });
+
+    console.log(`[vouchers] checkout ${kind} ${price}p for ${email}`);
+    res.json({ ok: true, url: session.url });
+  } catch (e) {
+    console.error("[vouchers/checkout]", e?.message || e);
+    res.status(500).json({ ok: false, error: "session_failed" });
+  }
+});
+
+// The voucher bought in a Checkout Session (the success page polls this until the webhook has issued it).
+router.get("/session/:id", async (req, res) => {
+  try {
+    const v = await voucherForSession(safe(req.params.id));
+    if (!v) return res.status(404).json({ ok: false, error: "not_ready" });
+    res.json({ ok: true, voucher: publicVoucher(v) });
+  } catch (e) {
+    console.error("[vouchers/session]", e);
+    res.status(500).json({ ok: false, error: "voucher_failed" });
+  }
+});
+
+// Whoever holds the code may see what it is worth.
+router.get("/:code", async (req, res) => {
+  try {
+    const v = await findVoucher(req.params.code);
+    if (!v) return res.status(404).json({ ok: false, error: "voucher_invalid" });
+    res.json({ ok: true, voucher: publicVoucher(v) });
+  } catch (e) {
+    console.error("[vouchers/get]", e);
+    res.status(500).json({ ok: false, error: "voucher_failed" });
+  }
+});
+
+/**
+ * POST /api/vouchers/redeem
+ * Body: { code }   Auth: Bearer
+ * Turns a service voucher into one credit for its service on the caller's account.
+ */
+router.post("/redeem", authMiddleware, async (req, res) => {
+  if (!req.user?.id) return res.status(401).json({ ok: false, error: "auth_required" });
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const r = await client.query(
+      `SELECT * FROM public.gift_vouchers WHERE code=$1 FOR UPDATE`,
+      [normVoucherCode(req.body?.code)]
+    );
+    const v = r.rows[0];
+    const error =
+      !v ? "voucher_invalid"
+      : v.expires_at && new Date(v.expires_at).getTime() <= Date.now() ? "voucher_expired"
+      : v.kind !== "service" ? "voucher_is_amount"
+      : v.balance <= 0 ? "voucher_used"
+      : null;
+    if (error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ ok: false, error });
+    }
+
+    const lot = await grantCredits(
+      { user_id: req.user.id, service_type: v.service_key, qty: 1, reason: "gift_voucher", valid_until: v.expires_at },
+      client
+    );
+    await client.query(
+      `INSERT INTO public.voucher_redemptions (voucher_id, user_id, ledger_id, amount, status)
+       VALUES ($1,$2,$3,$4,'redeemed')`,
+      [v.id, req.user.id, lot.id, v.balance]
+    );
+    await client.query(`UPDATE public.gift_vouchers SET balance=0 WHERE id=$1`, [v.id]);
+    await client.query("COMMIT");
+
+    console.log(`[vouchers] ${v.code} redeemed as 1 ${v.service_key} credit for user=${req.user.id}`);
+    res.json({ ok: true, credited: { service_type: v.service_key, qty: 1 } });
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("[vouchers/redeem]", e);
+    res.status(500).json({ ok: false, error: "redeem_failed" });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
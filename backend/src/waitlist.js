@@ -0,0 +1,284 @@
+// backend/src/waitlist.js
+import { Router } from "express";
+import { pool } from "./db.js";
+import { authMiddleware } from "./auth.js";
+import { getConfig } from "./config.js";
+import { dayKeyOf, serviceDuration, bookingWindow, slotsForDay, overlaps, resolveSlot } from "./schedule.js";
+import { createHold, releaseHold, onSlotFreed } from "./store.js";
+import { qualifiedResources } from "./resources.js";
+import { overlapsClosure } from "./closures.js";
+import { notifyCustomer } from "./notify.js";
+import { vehicleSize } from "./sizes.js";
+
+/**
+ * Waitlist for fully booked days.
+ * A customer registers interest in (day, service). When time on that day frees up
+ * (cancellation, reschedule, released or expired hold) the earliest waiting customers
+ * get a hold on a fitting slot and a claim link (/?claim=<hold token>) to book it.
+ *
+ * Entry status: waiting → offered → claimed, or lapsed (claim not used) / cancelled.
+ */
+
+const router = Router();
+router.use(authMiddleware);
+
+const APP_ORIGIN =
+  (process.env.PUBLIC_APP_ORIGIN ||
+    process.env.FRONTEND_PUBLIC_URL ||
+    "https://book.gmautodetailing.uk").replace(/\/+$/, "");
+
+export async function initWaitlist() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.waitlist (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      service_key TEXT NOT NULL,
+      vehicle_size TEXT,
+      day DATE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'waiting',
+      hold_id INTEGER,
+      claim_token TEXT,
+      offered_at TIMESTAMPTZ,
+      claim_expires_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`ALTER TABLE public.waitlist ADD COLUMN IF NOT EXISTS vehicle_size TEXT;`);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS waitlist_one_per_day_idx
+                    ON public.waitlist (user_id, service_key, day) WHERE status = 'waiting';`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS waitlist_day_idx ON public.waitlist (day, status, created_at);`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS waitlist_token_idx ON public.waitlist (claim_token);`);
+}
+
+const COLS = `id, service_key, vehicle_size, to_char(day,'YYYY-MM-DD') AS day, status, claim_token, claim_expires_at, created_at`;
+
+/* --------------------------- offers --------------------------- */
+
+/** Slot starts (any qualified resource) of `service_key` on `day` that overlap the freed interval. */
+function startsWithin(day, service_key, size, resources, freed) {
+  const dur = serviceDuration(service_key, [], size);
+  const starts = new Set();
+  for (const r of resources) {
+    for (const s of slotsForDay(day, dur, r.hours)) {
+      if (overlaps(s.start_iso, s.end_iso, freed.start, freed.end)) starts.add(s.start_iso);
+    }
+  }
+  return [...starts].sort();
+}
+
+/** Try to hold a fitting slot for one waiting entry and send the claim link. */
+async function offerTo(entry, freed) {
+  const ur = await pool.query(`SELECT email, postcode FROM public.users WHERE id=$1`, [entry.user_id]);
+  const user = ur.rows[0];
+  if (!user?.email) return false;
+
+  const resources = await qualifiedResources(entry.service_key);
+  for (const start_iso of startsWithin(entry.day, entry.service_key, entry.vehicle_size, resources, freed)) {
+    const resolved = resolveSlot({ service_key: entry.service_key, size: entry.vehicle_size, start_iso, resources });
+    if (!resolved.ok) continue;
+    if (await overlapsClosure(resolved.start_iso, resolved.end_iso)) continue;
+
+    const hold = await createHold({
+      user_id: entry.user_id,
+      service_key: entry.service_key,
+      start_iso: resolved.start_iso,
+      end_iso: resolved.end_iso,
+      ttl_minutes: getConfig().waitlist.claim_minutes,
+      resource_ids: resolved.resource_ids,
+      postcode: user.postcode,
+    });
+    if (!hold) continue;
+
+    const upd = await pool.query(
+      `UPDATE public.waitlist
+          SET status='offered', hold_id=$2, claim_token=$3, offered_at=now(), claim_expires_at=$4
+        WHERE id=$1 AND status='waiting'`,
+      [entry.id, hold.id, hold.token, hold.expires_at]
+    );
+    if (!upd.rowCount) {
+      // Someone else already offered this entry a slot.
+      await releaseHold({ id: hold.id });
+      return false;
+    }
+
+    const when = new Date(resolved.start_iso).toLocaleString("en-GB", {
+      timeZone: getConfig().schedule.tz, weekday: "long", day: "numeric", month: "long", hour: "2-digit", minute: "2-digit",
+    });
+    const svcName = getConfig().services[entry.service_key]?.name || entry.service_key;
+    await notifyCustomer({
+      kind: "waitlist_offer",
+      to: user.email,
+      subject: `A ${svcName} slot opened up on ${when}`,
+      text:
+        `Good news: ${when} is now free for your ${svcName}.\n` +
+        `We're holding it for you for ${getConfig().waitlist.claim_minutes} minutes:\n` +
+        `${APP_ORIGIN}/?claim=${hold.token}`,
+    });
+    console.log(`[waitlist] offered entry=${entry.id} user=${entry.user_id} hold=${hold.id} start=${resolved.start_iso}`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Called for every freed interval (store.slotFreed). A claim hold that is released or expires
+ * unused (a booking consumes its hold without freeing it) closes its entry;
+ * then the earliest waiting customers for that day are offered the time.
+ */
+export async function offerFreedSlot(freed) {
+  if (freed.hold_id) {
+    await pool.query(
+      `UPDATE public.waitlist SET status='lapsed' WHERE hold_id=$1 AND status IN ('offered','claimed')`,
+      [freed.hold_id]
+    );
+  }
+
+  const day = dayKeyOf(freed.start);
+  const { earliestKey, latestKey } = bookingWindow();
+  if (day < earliestKey || day > latestKey) return 0;
+
+  const r = await pool.query(
+    `SELECT id, user_id, service_key, vehicle_size, to_char(day,'YYYY-MM-DD') AS day
+       FROM public.waitlist
+      WHERE day=$1 AND status='waiting'
+      ORDER BY created_at ASC, id ASC`,
+    [day]
+  );
+  let offered = 0;
+  for (const entry of r.rows || []) {
+    if (offered >= getConfig().waitlist.notify_max) break;
+    if (await offerTo(entry, freed)) offered++;
+  }
+  return offered;
+}
+
+onSlotFreed(offerFreedSlot);
+
+/**
+ * Checkout / credit booking with a claim link: returns the live claim hold for that start
+ * and marks the entry claimed, or null when the claim is unknown, lapsed, for another slot
+ * or not the caller's. The caller is the signed-in `user_id`, or for a guest checkout the
+ * `email` of the account that joined the waitlist.
+ */
+export async function useClaim(token, { service_key, start_iso, user_id = null, email = "" }) {
+  if (!token || (!user_id && !email)) return null;
+  const r = await pool.query(
+    `SELECT w.id, h.id AS hold_id, h.start_time, h.resource_id, h.expires_at
+       FROM public.waitlist w
+       JOIN public.booking_holds h ON h.id = w.hold_id AND h.expires_at > now()
+       JOIN public.users u ON u.id = w.user_id
+      WHERE w.claim_token=$1 AND w.status IN ('offered','claimed') AND w.service_key=$2
+        AND (w.user_id = $3 OR ($3::int IS NULL AND lower(u.email) = lower($4)))`,
+    [String(token), service_key, user_id, String(email || "")]
+  );
+  const c = r.rows[0];
+  if (!c || new Date(c.start_time).getTime() !== Date.parse(start_iso)) return null;
+  await pool.query(`UPDATE public.waitlist SET status='claimed' WHERE id=$1`, [c.id]);
+  return { id: c.hold_id, resource_id: c.resource_id, expires_at: c.expires_at };
+}
+
+/* --------------------------- routes --------------------------- */
+
+// The customer's waitlist entries for today onwards
+router.get("/", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const r = await pool.query(
+      `SELECT ${COLS} FROM public.waitlist
+        WHERE user_id=$1 AND day >= CURRENT_DATE AND status IN ('waiting','offered')
+        ORDER BY day ASC, id ASC`,
+      [req.user.id]
+    );
+    res.json({ ok:true, rows: r.rows || [] });
+  } catch (e) {
+    console.error("[waitlist] list", e);
+    res.status(500).json({ ok:false, error:"waitlist_failed" });
+  }
+});
+
+/**
+ * POST /api/waitlist
+ * Body: { day: "YYYY-MM-DD", service_key, vehicle_size? }
+ * Joining twice for the same day and service returns the existing entry.
+ */
+router.post("/", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+
+    const service_key = String(req.body?.service_key || "");
+    const day = String(req.body?.day || "");
+    const svc = getConfig().services[service_key];
+    if (!svc || svc.visits) return res.status(400).json({ ok:false, error:"invalid_service" });
+
+    const { earliestKey, latestKey } = bookingWindow();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || day < earliestKey || day > latestKey) {
+      return res.status(400).json({ ok:false, error:"invalid_day" });
+    }
+
+    await pool.query(
+      `INSERT INTO public.waitlist (user_id, service_key, vehicle_size, day) VALUES ($1,$2,$3,$4)
+       ON CONFLICT (user_id, service_key, day) WHERE status = 'waiting' DO NOTHING`,
+      [req.user.id, service_key, vehicleSize(req.body?.vehicle_size), day]
+    );
+    const r = await pool.query(
+      `SELECT ${COLS} FROM public.waitlist
+        WHERE user_id=$1 AND service_key=$2 AND day=$3 AND status='waiting'`,
+      [req.user.id, service_key, day]
+    );
+    console.log(`[waitlist] user=${req.user.id} joined ${day} ${service_key}`);
+    res.json({ ok:true, entry: r.rows[0] || null });
+  } catch (e) {
+    console.error("[waitlist] join", e);
+    res.status(500).json({ ok:false, error:"waitlist_failed" });
+  }
+});
+
+// Leave the waitlist; an open claim is released for the next customer.
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const r = await pool.query(
+      `UPDATE public.waitlist SET status='cancelled'
+        WHERE id=$1 AND user_id=$2 AND status IN ('waiting','offered')
+        RETURNING hold_id`,
+      [Number(req.params.id), req.user.id]
+    );
+    if (!r.rowCount) return res.status(404).json({ ok:false, error:"not_found" });
+    if (r.rows[0].hold_id) await releaseHold({ id: r.rows[0].hold_id });
+    res.json({ ok:true });
+  } catch (e) {
+    console.error("[waitlist] leave", e);
+    res.status(500).json({ ok:false, error:"waitlist_failed" });
+  }
+});
+
+// What a claim link holds: the booking flow jumps straight to Confirm with it.
+router.get("/claim/:token", async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ ok:false, error:"auth_required" });
+    const r = await pool.query(
+      `SELECT w.service_key, w.vehicle_size, w.user_id, h.start_time, h.end_time, h.expires_at
+         FROM public.waitlist w
+         LEFT JOIN public.booking_holds h ON h.id = w.hold_id AND h.expires_at > now()
+        WHERE w.claim_token=$1 AND w.status IN ('offered','claimed')`,
+      [String(req.params.token)]
+    );
+    const c = r.rows[0];
+    if (!c || c.user_id !== req.user.id) return res.status(404).json({ ok:false, error:"claim_not_found" });
+    if (!c.start_time) return res.status(410).json({ ok:false, error:"claim_expired" });
+    res.json({
+      ok:true,
+      claim: {
+        service_key: c.service_key,
+        vehicle_size: c.vehicle_size,
+        slot: { start_iso: new Date(c.start_time).toISOString(), end_iso: new Date(c.end_time).toISOString() },
+        expires_at: c.expires_at,
+      },
+    });
+  } catch (e) {
+    console.error("[waitlist] claim", e);
+    res.status(500).json({ ok:false, error:"waitlist_failed" });
+  }
+});
+
+export default router;
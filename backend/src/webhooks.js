@@ -0,0 +1,245 @@
+// backend/src/webhooks.js
+import express, { Router } from "express";
+import Stripe from "stripe";
+import { pool } from "./db.js";
+import { requireAdmin } from "./admin.js";
+
+/**
+ * Stripe event pipeline.
+ *   - every verified event is stored raw in stripe_events (once, whichever endpoint gets it first)
+ *   - handlers register per event type with onStripeEvent (all of them in stripeHandlers.js)
+ *   - each (event, handler) pair has its own row in stripe_event_handlers: a handler that is
+ *     'done' never runs again for that event; a failed one keeps its error and is retried by
+ *     the sweep in jobs.js, or replayed from the admin API / `npm run replay-event`
+ */
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+// Failed handlers are retried by the sweep up to this many attempts; replays are not capped.
+const MAX_ATTEMPTS = 8;
+// A failed handler waits this long before the sweep retries it; a 'running' one this long is
+// taken to have died with its process.
+const STALE = "10 minutes";
+
+const handlers = new Map(); // event type -> [{ name, fn }]
+
+export async function initWebhooks() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.stripe_events (
+      id TEXT PRIMARY KEY,                  -- Stripe event id
+      type TEXT NOT NULL,
+      endpoint TEXT,                        -- which webhook URL received it first
+      payload JSONB NOT NULL,               -- the verified event as sent
+      received_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS public.stripe_event_handlers (
+      event_id TEXT NOT NULL,
+      handler TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',        -- 'pending' | 'running' | 'done' | 'failed'
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      updated_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (event_id, handler)
+    );
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS stripe_event_handlers_status_idx ON public.stripe_event_handlers (status);`);
+}
+
+/**
+ * Register `fn(object, event)` for a Stripe event type (`object` is event.data.object).
+ * `name` identifies the handler in the idempotency table, so keep it stable once deployed.
+ */
+export function onStripeEvent(type, name, fn) {
+  const list = handlers.get(type) || [];
+  if (list.some((h) => h.name === name)) throw new Error(`duplicate Stripe handler ${name} for ${type}`);
+  list.push({ name, fn });
+  handlers.set(type, list);
+}
+
+async function storeEvent(event, endpoint) {
+  await pool.query(
+    `INSERT INTO public.stripe_events (id, type, endpoint, payload) VALUES ($1,$2,$3,$4)
+     ON CONFLICT (id) DO NOTHING`,
+    [event.id, event.type, endpoint, event]
+  );
+}
+
+/**
+ * Run the handlers registered for the event's type. A handler is claimed ('running') before
+ * it runs, so the same event arriving at both endpoints at once still runs it once.
+ * Options: force (run handlers that are already done), only (one handler name).
+ * Returns [{ handler, status, error? }].
+ */
+export async function dispatchEvent(event, { force = false, only = null } = {}) {
+  const list = (handlers.get(event.type) || []).filter((h) => !only || h.name === only);
+  const results = [];
+  for (const h of list) {
+    await pool.query(
+      `INSERT INTO public.stripe_event_handlers (event_id, handler) VALUES ($1,$2) ON CONFLICT DO NOTHING`,
+      [event.id, h.name]
+    );
+    const claim = await pool.query(
+      `UPDATE public.stripe_event_handlers SET status='running', updated_at=now()
+        WHERE event_id=$1 AND handler=$2
+          AND (status IN ('pending','failed') OR ($3 AND status='done')
+               OR (status='running' AND updated_at < now() - $4::interval))
+        RETURNING status`,
+      [event.id, h.name, force, STALE]
+    );
+    if (!claim.rowCount) {
+      results.push({ handler: h.name, status: "skipped" });
+      continue;
+    }
+    try {
+      await h.fn(event.data.object, event);
+      await pool.query(
+        `UPDATE public.stripe_event_handlers
+            SET status='done', attempts=attempts+1, last_error=NULL, updated_at=now()
+          WHERE event_id=$1 AND handler=$2`,
+        [event.id, h.name]
+      );
+      results.push({ handler: h.name, status: "done" });
+    } catch (e) {
+      const error = String(e?.message || e).slice(0, 500);
+      await pool.query(
+        `UPDATE public.stripe_event_handlers
+            SET status='failed', attempts=attempts+1, last_error=$3, updated_at=now()
+          WHERE event_id=$1 AND handler=$2`,
+        [event.id, h.name, error]
+      );
+      console.error(`[webhooks] ${h.name} failed on ${event.type} ${event.id}:`, error);
+      results.push({ handler: h.name, status: "failed", error });
+    }
+  }
+  return results;
+}
+
+/** Dispatch a stored event again (admin API, CLI). Null when the event was never received. */
+export async function replayEvent(id, options = {}) {
+  const r = await pool.query(`SELECT payload FROM public.stripe_events WHERE id=$1`, [id]);
+  if (!r.rowCount) return null;
+  console.log(`[webhooks] replaying ${id}${options.force ? " (force)" : ""}`);
+  return dispatchEvent(r.rows[0].payload, options);
+}
+
+/**
+ * Retry handlers that failed (or never finished) a while ago.
+ * Returns the number of events dispatched again.
+ */
+export async function retryFailedEvents() {
+  if (!pool) return 0;
+  const due = await pool.query(
+    `SELECT DISTINCT h.event_id
+       FROM public.stripe_event_handlers h
+      WHERE h.status <> 'done' AND h.attempts < $1 AND h.updated_at < now() - $2::interval
+      LIMIT 50`,
+    [MAX_ATTEMPTS, STALE]
+  );
+  for (const { event_id } of due.rows) await replayEvent(event_id);
+  if (due.rowCount) console.log(`[webhooks] retried ${due.rowCount} event(s)`);
+  return due.rowCount;
+}
+
+/**
+ * Express handler for one Stripe webhook endpoint (mount with express.raw).
+ * Answers 200 once the event is stored: handler failures are retried here, not by Stripe.
+ */
+export function stripeWebhook(endpoint, secret) {
+  return async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, req.headers["stripe-signature"], secret);
+    } catch (err) {
+      console.error(`[webhooks/${endpoint}] bad signature:`, err?.message || err);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+      await storeEvent(event, endpoint);
+    } catch (e) {
+      console.error(`[webhooks/${endpoint}] could not store ${event.id}:`, e?.message || e);
+      return res.status(500).json({ received: false }); // nothing recorded: let Stripe retry
+    }
+
+    console.log(`[webhooks/${endpoint}] ${event.type} ${event.id}`);
+    await dispatchEvent(event).catch((e) => console.error(`[webhooks/${endpoint}] dispatch error:`, e?.message || e));
+    res.json({ received: true });
+  };
+}
+
+/** Both Stripe endpoints, each with its own signing secret. Mount BEFORE express.json(). */
+export function mountStripeWebhooks(app) {
+  const raw = express.raw({ type: "application/json" });
+  app.post("/api/webhooks/stripe", raw, stripeWebhook("payments", (process.env.STRIPE_WEBHOOK_SECRET || "").trim()));
+  app.post(
+    "/api/webhooks/memberships", raw,
+    stripeWebhook("memberships", (process.env.STRIPE_WEBHOOK_SECRET_MEMBERSHIPS || "").trim())
+  );
+}
+
+/* --------------------------- admin routes --------------------------- */
+
+const router = Router();
+router.use(requireAdmin);
+
+// GET /api/admin/stripe-events?status=failed&limit=50 — recent events with their handler states
+router.get("/", async (req, res) => {
+  try {
+    const lim = Math.max(1, Math.min(200, Number(req.query.limit) || 50));
+    const status = ["pending", "running", "done", "failed"].includes(req.query.status) ? req.query.status : null;
+    const r = await pool.query(
+      `SELECT e.id, e.type, e.endpoint, e.received_at,
+              COALESCE(json_agg(json_build_object(
+                'handler', h.handler, 'status', h.status, 'attempts', h.attempts,
+                'last_error', h.last_error, 'updated_at', h.updated_at
+              ) ORDER BY h.handler) FILTER (WHERE h.handler IS NOT NULL), '[]') AS handlers
+         FROM public.stripe_events e
+         LEFT JOIN public.stripe_event_handlers h ON h.event_id = e.id
+        WHERE $1::text IS NULL
+           OR EXISTS (SELECT 1 FROM public.stripe_event_handlers x WHERE x.event_id = e.id AND x.status = $1)
+        GROUP BY e.id
+        ORDER BY e.received_at DESC
+        LIMIT $2`,
+      [status, lim]
+    );
+    res.json({ ok: true, rows: r.rows });
+  } catch (e) {
+    console.error("[admin/stripe-events] list", e);
+    res.status(500).json({ ok: false, error: "events_failed" });
+  }
+});
+
+// GET /api/admin/stripe-events/:id — the stored payload
+router.get("/:id", async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT id, type, endpoint, received_at, payload FROM public.stripe_events WHERE id=$1`, [req.params.id]);
+    if (!r.rowCount) return res.status(404).json({ ok: false, error: "not_found" });
+    res.json({ ok: true, event: r.rows[0] });
+  } catch (e) {
+    console.error("[admin/stripe-events] get", e);
+    res.status(500).json({ ok: false, error: "events_failed" });
+  }
+});
+
+/**
+ * POST /api/admin/stripe-events/:id/replay
+ * Body: { handler?: string, force?: boolean }   (force re-runs handlers that already succeeded)
+ */
+router.post("/:id/replay", async (req, res) => {
+  try {
+    const results = await replayEvent(req.params.id, {
+      force: req.body?.force === true,
+      only: req.body?.handler || null,
+    });
+    if (!results) return res.status(404).json({ ok: false, error: "not_found" });
+    console.log(`[admin/stripe-events] ${req.admin} replayed ${req.params.id}`);
+    res.json({ ok: true, results });
+  } catch (e) {
+    console.error("[admin/stripe-events] replay", e);
+    res.status(500).json({ ok: false, error: "replay_failed" });
+  }
+});
+
+export default router;
@@ -8,6 +8,20 @@ const API_ROOT = "https://gm-auto-detailing2.onrender.com";
 const API = `${API_ROOT}/api`;
 const TZ = "Europe/London";
 const CURRENCY = "£";
+const PROMO_ERRORS = {
+  promo_invalid: "That code isn't valid.",
+  promo_expired: "That code has expired.",
+  promo_not_applicable: "That code doesn't apply to this service.",
+  promo_min_spend: "This booking doesn't reach the minimum spend for that code.",
+  promo_used_up: "That code has already been used the maximum number of times.",
+};
+const VOUCHER_ERRORS = {
+  voucher_invalid: "That voucher code isn't valid.",
+  voucher_expired: "That voucher has expired.",
+  voucher_used: "That voucher has been used up.",
+  voucher_is_amount: "That voucher is worth an amount: it is taken off the price at checkout.",
+};
+const OUTSIDE_AREA_MSG = "Sorry, your postcode is outside the area we currently cover.";
 
 /* ================== UTILS ================== */
 const fmtGBP = (n) => `${CURRENCY}${(Math.round(n * 100) / 100).toFixed(2)}`;
@@ -29,6 +43,14 @@ const addMonthsYYYYMM = (yyyyMM, delta) => {
   return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
 };
 const keyFromISO = (iso) => toDateKey(new Date(iso));
+// Slots are as long as the service plus its add-ons, scaled for the vehicle; the postcode sizes travel gaps.
+const availabilityUrl = (state, month) =>
+  `${API}/availability?service_key=${encodeURIComponent(state.service_key)}&month=${month}` +
+  `&addons=${encodeURIComponent((state.addons || []).join(","))}&size=${encodeURIComponent(state.vehicle_size || "")}` +
+  `&postcode=${encodeURIComponent(state.customer?.postcode || "")}`;
+// Same rounding as the server (sizes.js): to the penny.
+const sizedPrice = (cfg, amount, size) =>
+  Math.round(amount * (cfg.vehicle_sizes?.[size]?.price_multiplier ?? 1) * 100) / 100;
 
 /* ======== IFRAME helpers ======== */
 function reportHeight() {
@@ -53,13 +75,15 @@ const HeadIcon = ({ size=16 }) => (
 );
 
 /* Cards – updated to match account page style */
-function ServiceCard({ title, price, strike, selected, onClick }) {
+function ServiceCard({ title, price, strike, selected, onClick, badge, current }) {
   return (
     <div
-      className={cx("svc-card", selected && "selected")}
-      onClick={onClick}
+      className={cx("svc-card", selected && "selected", current && "current")}
+      onClick={current ? undefined : onClick}
       role="button"
+      aria-disabled={current || undefined}
     >
+      {badge && <div className="svc-badge">{badge}</div>}
       <div className="svc-title">{title}</div>
       {typeof strike === "number" && strike > price ? (
         <div className="svc-price-row">
@@ -73,7 +97,7 @@ function ServiceCard({ title, price, strike, selected, onClick }) {
   );
 }
 
-function AddonCard({ title, price, desc, selected, onToggle }) {
+function AddonCard({ title, price, minutes, desc, selected, onToggle }) {
   return (
     <div
       className={cx("svc-addon", selected && "on")}
@@ -84,7 +108,7 @@ function AddonCard({ title, price, desc, selected, onToggle }) {
         <span>{title}</span>
         <span className="svc-addon-price">{fmtGBP(price)}</span>
       </div>
-      <div className="svc-addon-desc">{desc}</div>
+      <div className="svc-addon-desc">{desc}{minutes ? ` Adds about ${minutes} min.` : ""}</div>
     </div>
   );
 }
@@ -94,7 +118,10 @@ function Services({ state, setState }) {
   const cfg = state.config || { services:{}, addons:{} };
   const [svc, setSvc] = React.useState(state.service_key || "");
   const [addons, setAddons] = React.useState([]);
-  const [firstTime, setFirstTime] = React.useState(false);
+  const [vehicleId, setVehicleId] = React.useState(state.vehicle_id || null);
+  const car = (state.vehicles || []).find(v => v.id === vehicleId);
+  const size = car?.size_class || cfg.default_vehicle_size || "medium";
+  const [intro, setIntro] = React.useState({ oneoff: false, membership: false });
 
   // top right "View account"
   const TopRight = () => (
@@ -110,22 +137,24 @@ function Services({ state, setState }) {
     </div>
   );
 
+  // Intro discounts are decided by the server for the logged-in account.
   React.useEffect(() => {
-    const { email, phone, street } = state.customer || {};
-    if (!email && !phone && !street) return;
-    const qs = new URLSearchParams({ email: email || "", phone: phone || "", street: street || "" });
-    fetch(`${API}/first-time?` + qs.toString())
+    if (!state.token) return;
+    fetch(`${API}/my/intro`, { headers: { Authorization: `Bearer ${state.token}` } })
       .then(r => r.json())
-      .then(d => setFirstTime(!!d.first_time))
-      .catch(() => setFirstTime(false))
+      .then(d => setIntro({ oneoff: !!d?.oneoff, membership: !!d?.membership }))
+      .catch(() => setIntro({ oneoff: false, membership: false }))
       .finally(() => setTimeout(reportHeight, 60));
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [state.customer?.email, state.customer?.phone, state.customer?.street]);
+  }, [state.token]);
 
   React.useEffect(() => { setTimeout(reportHeight, 60); }, [svc, addons]);
 
-  const basePrice = (k)=> (typeof cfg.services?.[k]?.price === "number") ? cfg.services[k].price : 0;
-  const effPrice  = (k)=> firstTime ? basePrice(k) * 0.5 : basePrice(k);
+  // One-off services and add-ons are priced for the vehicle size; memberships are not.
+  const isOneOff = (k)=> k === "exterior" || k === "full";
+  const basePrice = (k)=> (typeof cfg.services?.[k]?.price === "number")
+    ? (isOneOff(k) ? sizedPrice(cfg, cfg.services[k].price, size) : cfg.services[k].price) : 0;
+  const introFor  = (k)=> isOneOff(k) ? intro.oneoff : intro.membership;
+  const effPrice  = (k)=> introFor(k) ? basePrice(k) * 0.5 : basePrice(k);
 
   const hasFullCredit = (state.credits?.full || 0) > 0;
   const hasExteriorCredit = (state.credits?.exterior || 0) > 0;
@@ -162,32 +191,68 @@ function Services({ state, setState }) {
       body: JSON.stringify(payload),
     });
     const d = await r.json().catch(()=> ({}));
+    if (d?.error === "outside_service_area") { alert(OUTSIDE_AREA_MSG); return; }
     if (!d?.ok || !d?.url) { alert(d?.error || "Unable to start subscription."); return; }
     try { window.top.location.href = d.url; } catch { window.location.href = d.url; } // Stripe requires top
   }
 
+  // Members switch tier in place: Stripe prorates the price, leftover credits are converted.
+  async function changeTier(tierKey){
+    const tier = tierKey === "standard_membership" ? "standard" : "premium";
+    const headers = { "Content-Type": "application/json", Authorization: `Bearer ${state.token}` };
+    const post = (body) => fetch(`${API}/memberships/change-tier`, { method: "POST", headers, body: JSON.stringify(body) })
+      .then(r => r.json()).catch(() => ({}));
+
+    const p = await post({ tier, preview: true });
+    if (!p?.ok) { alert("We couldn’t change your membership. Please try again."); return; }
+    const names = { exterior: "Exterior", full: "Full" };
+    const { from, to } = p.preview.conversion;
+    const credits = from.qty
+      ? ` Your ${from.qty} unused ${names[from.service_type]} credit(s) become ${to.qty} ${names[to.service_type]} credit(s).`
+      : "";
+    const name = cfg.services?.[tierKey]?.name || tier;
+    if (!window.confirm(`Switch to ${name}? The price difference for this month is added to your next invoice.${credits}`)) return;
+
+    const d = await post({ tier });
+    if (!d?.ok) { alert("We couldn’t change your membership. Please try again."); return; }
+    setState(s => ({
+      ...s,
+      credits: d.credits || s.credits,
+      subscriptions: (s.subscriptions || []).map(x => (x.tier === currentTier ? { ...x, tier } : x)),
+    }));
+    setSvc("");
+  }
+
   const aCfg = cfg.addons || {};
   const toggleWax    = () => setAddons((arr) => (arr.includes("wax")    ? arr.filter((x) => x !== "wax")    : [...arr, "wax"]));
   const togglePolish = () => setAddons((arr) => (arr.includes("polish") ? arr.filter((x) => x !== "polish") : [...arr, "polish"]));
 
   function continueFlow() {
     if (!svc) return alert("Please choose a service.");
-    if (svc === "standard_membership" || svc === "premium_membership") { subscribeNow(svc); return; }
+    if (svc === "standard_membership" || svc === "premium_membership") {
+      if (currentTier) changeTier(svc); else subscribeNow(svc);
+      return;
+    }
+    if (!car) return alert("Please choose your vehicle (or add one) so we know which car to detail.");
     setState((s) => ({
       ...s,
       service_key: svc,
       addons: usingCredits ? [] : addons,
+      vehicle_id: car.id,
+      vehicle_size: size,
+      availability: null, // slot length depends on service, add-ons and vehicle size
       selectedDayKey: null,
       selectedSlot: null,
-      step: "calendar",
-      first_time: firstTime
+      step: "calendar"
     }));
     setTimeout(reportHeight, 60);
   }
 
-  // Hide Standard/Premium tiles if already active
-  const hideStandard = state.subscriptions?.some?.(x => x.tier === "standard" && x.status === "active");
-  const hidePremium  = state.subscriptions?.some?.(x => x.tier === "premium"  && x.status === "active");
+  // A member sees their own tier marked and the other one offered as a change
+  const currentTier = state.subscriptions?.find?.(x => ["active", "trialing", "past_due"].includes(x.status))?.tier || null;
+  const tierBadge = (tier) => !currentTier ? undefined
+    : tier === currentTier ? "Your plan"
+    : tier === "premium" ? "Upgrade" : "Downgrade";
 
   return (
     <div className="gm page-section gm-booking wrap">
@@ -198,33 +263,47 @@ function Services({ state, setState }) {
 
         <div className="gm cards">
           <ServiceCard title={cfg.services?.exterior?.name || "Exterior Detail"}
-            price={effPrice("exterior")} strike={firstTime ? basePrice("exterior") : undefined}
+            price={effPrice("exterior")} strike={introFor("exterior") ? basePrice("exterior") : undefined}
             selected={svc==="exterior"} onClick={()=>setSvc("exterior")} />
           <ServiceCard title={cfg.services?.full?.name || "Full Detail"}
-            price={effPrice("full")} strike={firstTime ? basePrice("full") : undefined}
+            price={effPrice("full")} strike={introFor("full") ? basePrice("full") : undefined}
             selected={svc==="full"} onClick={()=>setSvc("full")} />
-          {!hideStandard && (
-            <ServiceCard title={cfg.services?.standard_membership?.name || "Standard Membership (2 Exterior)"}
-              price={effPrice("standard_membership")} strike={firstTime ? basePrice("standard_membership") : undefined}
-              selected={svc==="standard_membership"} onClick={()=>setSvc("standard_membership")} />
-          )}
-          {!hidePremium && (
-            <ServiceCard title={cfg.services?.premium_membership?.name || "Premium Membership (2 Full)"}
-              price={effPrice("premium_membership")} strike={firstTime ? basePrice("premium_membership") : undefined}
-              selected={svc==="premium_membership"} onClick={()=>setSvc("premium_membership")} />
-          )}
+          <ServiceCard title={cfg.services?.standard_membership?.name || "Standard Membership (2 Exterior)"}
+            price={effPrice("standard_membership")} strike={introFor("standard_membership") ? basePrice("standard_membership") : undefined}
+            badge={tierBadge("standard")} current={currentTier === "standard"}
+            selected={svc==="standard_membership"} onClick={()=>setSvc("standard_membership")} />
+          <ServiceCard title={cfg.services?.premium_membership?.name || "Premium Membership (2 Full)"}
+            price={effPrice("premium_membership")} strike={introFor("premium_membership") ? basePrice("premium_membership") : undefined}
+            badge={tierBadge("premium")} current={currentTier === "premium"}
+            selected={svc==="premium_membership"} onClick={()=>setSvc("premium_membership")} />
         </div>
 
+        {(svc==="exterior" || svc==="full") && (
+          <>
+            <div className="gm h2 center" style={{ marginTop: 8 }}>Your vehicle</div>
+            <div className="gm sizes">
+              {(state.vehicles || []).map((v) => (
+                <Button key={v.id} className={cx(vehicleId === v.id && "primary")} onClick={()=> setVehicleId(v.id)}>
+                  {v.registration}{cfg.vehicle_sizes?.[v.size_class] ? ` · ${cfg.vehicle_sizes[v.size_class].name}` : ""}
+                </Button>
+              ))}
+              <Button onClick={()=> { window.location.href = "/details.html"; }}>+ Add a vehicle</Button>
+            </div>
+          </>
+        )}
+
         {(svc==="exterior" || svc==="full") && !usingCredits && (
           <>
             <div className="gm h2 center" style={{ marginTop: 8 }}>Add-ons (optional)</div>
             <div className="gm addon-benefits two-col">
               <AddonCard title={aCfg.wax?.name || "Ceramic Wax"}
-                price={typeof aCfg.wax?.price === "number" ? aCfg.wax.price : 10}
+                price={sizedPrice(cfg, typeof aCfg.wax?.price === "number" ? aCfg.wax.price : 10, size)}
+                minutes={aCfg.wax?.duration}
                 desc="Adds gloss and water beading. Light protection between washes."
                 align="left" selected={addons.includes("wax")} onToggle={toggleWax} />
               <AddonCard title={aCfg.polish?.name || "Hand Polish"}
-                price={typeof aCfg.polish?.price === "number" ? aCfg.polish.price : 22.5}
+                price={sizedPrice(cfg, typeof aCfg.polish?.price === "number" ? aCfg.polish.price : 22.5, size)}
+                minutes={aCfg.polish?.duration}
                 desc="Hand-finished shine. Softens light marks and brightens the paint."
                 align="right" selected={addons.includes("polish")} onToggle={togglePolish} />
             </div>
@@ -234,7 +313,9 @@ function Services({ state, setState }) {
         <div className="gm actions space bottom-stick">
           <div />
           <PrimaryButton onClick={continueFlow}>
-            {(svc==="standard_membership"||svc==="premium_membership") ? "Subscribe" : "Continue"}
+            {(svc==="standard_membership"||svc==="premium_membership")
+              ? (currentTier ? (svc === "premium_membership" ? "Upgrade" : "Downgrade") : "Subscribe")
+              : "Continue"}
           </PrimaryButton>
         </div>
       </div>
@@ -287,12 +368,12 @@ function Calendar({ state, setState }) {
     const id = ++reqCounter;
     setLoading(true);
     setLoadErr(null);
-    fetch(`${API}/availability?service_key=${encodeURIComponent(state.service_key)}&month=${yyyyMM}`)
+    fetch(availabilityUrl(state, yyyyMM))
       .then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json(); })
       .then(d => { if (id !== reqCounter) return; setState(s => ({ ...s, availability: d, monthKey: d.month })); })
       .catch(err => { if (id !== reqCounter) return; console.error("[availability] load failed", err); setLoadErr("We’re having trouble loading availability."); })
       .finally(() => { if (id === reqCounter) setLoading(false); setTimeout(reportHeight, 60); });
-  }, [setState, state.service_key]);
+  }, [setState, state.service_key, state.addons, state.vehicle_size, state.customer?.postcode]);
 
   React.useEffect(() => {
     if (!state.service_key) return;
@@ -307,6 +388,19 @@ function Calendar({ state, setState }) {
     if (!arr.some(s => s.available)) return;
     setState((s)=> ({ ...s, selectedDayKey: k, selectedSlot: null, step: "times" }));
   }
+
+  // Fully booked day: offer to join the waitlist for it.
+  async function joinWaitlist(k){
+    const label = new Date(fromKey(k)).toLocaleString("en-GB",{ timeZone:TZ, weekday:"long", day:"numeric", month:"long" });
+    if (!confirm(`${label} is fully booked. Join the waitlist? We'll email you a link if a slot frees up.`)) return;
+    const r = await fetch(`${API}/waitlist`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${state.token}` },
+      body: JSON.stringify({ day: k, service_key: state.service_key, vehicle_size: state.vehicle_size }),
+    });
+    const d = await r.json().catch(()=> ({}));
+    alert(d?.ok ? "You're on the waitlist for that day." : "Sorry, we couldn't add you to the waitlist.");
+  }
   function dayHasChosenTime(k){
     if (!state.selectedSlot) return false;
     return keyFromISO(state.selectedSlot.start_iso) === k;
@@ -352,15 +446,17 @@ function Calendar({ state, setState }) {
                 if (!k) return <div key={`b${i}`} className="gm dayblank" />;
                 const arr = daysMap[k] || [];
                 const hasFree = arr.some(s => s.available);
-                const disabled = !hasFree;
+                const full = arr.length > 0 && !hasFree;
+                const disabled = !hasFree && !full;
                 const green = dayHasChosenTime(k);
                 const orange = !green && state.selectedDayKey === k;
                 return (
                   <div key={k} className="gm daywrap">
                     <button
-                      className={cx("gm daycell", hasFree && "has", disabled && "off", green && "selected-green", orange && "selected-orange")}
-                      onClick={()=> !disabled && pickDay(k)}
+                      className={cx("gm daycell", hasFree && "has", (disabled || full) && "off", full && "full", green && "selected-green", orange && "selected-orange")}
+                      onClick={()=> full ? joinWaitlist(k) : !disabled && pickDay(k)}
                       disabled={disabled}
+                      title={full ? "Fully booked — join the waitlist" : ""}
                     >
                       {Number(k.slice(-2))}
                     </button>
@@ -431,17 +527,91 @@ function Times({ state, setState }) {
 /* ================== CONFIRM ================== */
 function Confirm({ state, setState }) {
   const cfg = state.config || { services:{}, addons:{} };
-  const base = (typeof cfg.services?.[state.service_key]?.price === "number") ? cfg.services[state.service_key].price : 0;
-  const addonsTotal = (state.addons || []).reduce((s,k)=> s + (typeof cfg.addons?.[k]?.price === "number" ? cfg.addons[k].price : 0), 0);
-  const firstTime = !!state.first_time;
-  const serviceAfter = firstTime ? base * 0.5 : base;
-  const preDiscountTotal = base + addonsTotal;
-  const finalTotal = serviceAfter + addonsTotal;
+  const size = state.vehicle_size;
+  // Itemised price from the server; checkout charges exactly this quote.
+  const [quote, setQuote] = React.useState(null);
+  const [quoteError, setQuoteError] = React.useState("");
+  // Promo code and gift voucher: typed in `inputs`, kept in `codes` once the server accepted them.
+  const [inputs, setInputs] = React.useState({ promo: "", voucher: "" });
+  const [codes, setCodes] = React.useState({ promo: "", voucher: "" });
+  const [codeErrors, setCodeErrors] = React.useState({ promo: "", voucher: "" });
 
   const usingCredit =
     ((state.credits?.exterior||0) > 0 && state.service_key === "exterior") ||
     ((state.credits?.full||0)     > 0 && state.service_key === "full");
 
+  const quotePayload = (c = codes) => ({
+    service_key: state.service_key,
+    addons: state.addons || [],
+    vehicle_id: state.vehicle_id || undefined,
+    vehicle_size: state.vehicle_size,
+    customer: state.customer,
+    promo_code: c.promo || undefined,
+    voucher_code: c.voucher || undefined
+  });
+
+  const authHeaders = state.token ? { Authorization: `Bearer ${state.token}` } : {};
+  const fetchQuote = (c) => fetch(`${API}/quote`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders },
+    body: JSON.stringify(quotePayload(c))
+  }).then(r => r.json()).catch(() => ({ error: "quote_failed" }));
+
+  // A code the server no longer accepts is dropped with its message; true if `error` was one.
+  function dropCode(error){
+    const kind = PROMO_ERRORS[error] ? "promo" : VOUCHER_ERRORS[error] ? "voucher" : null;
+    if (!kind) return false;
+    setCodeErrors(e => ({ ...e, [kind]: (PROMO_ERRORS[error] || VOUCHER_ERRORS[error]) }));
+    setCodes(c => ({ ...c, [kind]: "" }));
+    return true;
+  }
+
+  React.useEffect(() => {
+    if (usingCredit || !state.service_key) return;
+    fetchQuote(codes)
+      .then(d => {
+        if (d?.ok) { setQuote(d.quote); return; }
+        if (!dropCode(d?.error)) setQuoteError(d?.error || "quote_failed");
+      })
+      .finally(() => setTimeout(reportHeight, 60));
+  }, [usingCredit, state.service_key, state.vehicle_id, state.vehicle_size, (state.addons || []).join(","), codes.promo, codes.voucher]);
+
+  // A service voucher becomes a credit on the account; the booking then goes through as a credit booking.
+  async function redeemServiceVoucher(code){
+    const r = await fetch(`${API}/vouchers/redeem`, {
+      method: "POST", headers: { "Content-Type": "application/json", ...authHeaders }, body: JSON.stringify({ code })
+    });
+    const d = await r.json().catch(() => ({}));
+    if (!d?.ok) { setCodeErrors(e => ({ ...e, voucher: VOUCHER_ERRORS[d?.error] || "Sorry, we couldn't redeem that voucher." })); return; }
+    const me = await fetch(`${API}/auth/me`, { headers: authHeaders }).then(x => x.json()).catch(() => null);
+    if (me?.credits) setState(s => ({ ...s, credits: me.credits }));
+    const name = cfg.services?.[d.credited.service_type]?.name || d.credited.service_type;
+    alert(`Voucher redeemed: 1 ${name} credit has been added to your account.`);
+  }
+
+  // Codes are checked by the server; only an accepted code is kept for checkout.
+  async function applyCode(kind){
+    const code = inputs[kind].trim().toUpperCase();
+    setCodeErrors(e => ({ ...e, [kind]: "" }));
+    const next = { ...codes, [kind]: code };
+    if (!code) { setCodes(next); return; }
+    const d = await fetchQuote(next);
+    if (d?.ok) { setCodes(next); setQuote(d.quote); }
+    else if (d?.error === "voucher_is_service") await redeemServiceVoucher(code);
+    else setCodeErrors(e => ({ ...e, [kind]: PROMO_ERRORS[d?.error] || VOUCHER_ERRORS[d?.error] || "Sorry, we couldn't check that code." }));
+    setTimeout(reportHeight, 60);
+  }
+
+  // Someone else got the slot first: refresh the day and send the user back to pick again.
+  async function backToTimes(){
+    alert("Sorry, that time has just been taken. Please choose another slot.");
+    const month = monthOfKey(state.selectedDayKey || keyFromISO(state.selectedSlot.start_iso));
+    const d = await fetch(availabilityUrl(state, month))
+      .then(r => r.ok ? r.json() : null).catch(() => null);
+    setState(s => ({ ...s, availability: d?.days ? d : s.availability, monthKey: d?.month || s.monthKey, selectedSlot: null, step: "times" }));
+    setTimeout(reportHeight, 60);
+  }
+
   async function pay(){
     if (!state.customer || !state.service_key) return;
 
@@ -453,6 +623,9 @@ function Confirm({ state, setState }) {
         slot: state.selectedSlot,
         addons: [],
         customer: state.customer,
+        vehicle_id: state.vehicle_id || undefined,
+        vehicle_size: state.vehicle_size,
+        claim: state.claim || undefined,
         origin: window.location.origin
       };
       const r = await fetch(`${API}/credits/book-with-credit`, {
@@ -461,6 +634,12 @@ function Confirm({ state, setState }) {
         body: JSON.stringify(payload)
       });
       const d = await r.json().catch(()=> ({}));
+      if (d?.error === "slot_taken") { await backToTimes(); return; }
+      if (d?.error === "outside_service_area") { alert(OUTSIDE_AREA_MSG); return; }
+      if (d?.error === "payment_failed") {
+        alert("Your last membership payment didn’t go through, so your membership credits are on hold. Please update your card under Manage subscription in your account.");
+        return;
+      }
       if (!d?.ok) { alert(d?.error || "Credit booking failed"); return; }
       if (d.url) { try { window.top.location.href = d.url; } catch { window.location.href = d.url; } return; } // rare external redirects
       if (d.booked) {
@@ -471,18 +650,30 @@ function Confirm({ state, setState }) {
       alert("Unexpected response."); return;
     }
 
+    if (!quote) return;
     const payload = {
-      customer: state.customer,
+      ...quotePayload(),
       has_tap: true,
-      service_key: state.service_key,
-      addons: state.addons || [],
       origin: window.location.origin,
-      slot: state.selectedSlot
+      slot: state.selectedSlot,
+      claim: state.claim || undefined,
+      quote_total: quote.total,
+      referral_code: localStorage.getItem("GM_REF") || undefined
     };
     const r = await fetch(`${API}/pay/create-checkout-session`, {
-      method:"POST", headers:{ "Content-Type":"application/json" }, body: JSON.stringify(payload)
+      method:"POST",
+      headers:{ "Content-Type":"application/json", ...authHeaders },
+      body: JSON.stringify(payload)
     });
     const d = await r.json().catch(()=> ({}));
+    if (d?.error === "slot_taken") { await backToTimes(); return; }
+    if (d?.error === "outside_service_area") { alert(OUTSIDE_AREA_MSG); return; }
+    if (dropCode(d?.error)) return;
+    if (d?.error === "quote_changed") {
+      setQuote(d.quote);
+      alert("The price has been updated. Please check the new total before paying.");
+      return;
+    }
     if (!d?.ok || !d?.url) { alert(d?.error || "Payment failed to initialize."); return; }
     try { window.top.location.href = d.url; } catch { window.location.href = d.url; } // Stripe requires top
   }
@@ -510,6 +701,11 @@ function Confirm({ state, setState }) {
             <div className="gm card">
               <div className="gm card-title">Booking</div>
               <div style={{ fontWeight: 600, marginBottom: 6 }}>{(cfg.services?.[state.service_key]?.name) || state.service_key}</div>
+              {(() => {
+                const car = (state.vehicles || []).find(v => v.id === state.vehicle_id);
+                const label = car ? [car.registration, car.colour, car.make, car.model].filter(Boolean).join(" ") : null;
+                return <div className="gm muted">{[label, cfg.vehicle_sizes?.[size]?.name].filter(Boolean).join(" · ")}</div>;
+              })()}
               {slotLine}
               {!!(state.addons || []).length && !usingCredit && (
                 <div style={{ marginTop: 6 }}>
@@ -525,19 +721,48 @@ function Confirm({ state, setState }) {
             {usingCredit ? (
               <>
                 <div className="gm total">{fmtGBP(0)}</div>
-                <div className="gm muted" style={{marginTop:6}}>Service paid with 1 membership credit</div>
+                <div className="gm muted" style={{marginTop:6}}>Service paid with 1 credit</div>
+              </>
+            ) : quote ? (
+              <>
+                <div className="gm quote">
+                  {quote.lines.map((l) => (
+                    <div key={l.kind + l.key} className="gm quote-row"><span>{l.name}</span><span>{fmtGBP(l.amount / 100)}</span></div>
+                  ))}
+                  {quote.discounts.map((dc) => (
+                    <div key={dc.kind} className="gm quote-row discount"><span>{dc.name}</span><span>−{fmtGBP(dc.amount / 100)}</span></div>
+                  ))}
+                </div>
+                {quote.discount_total > 0 ? (
+                  <div className="gm price-row big">
+                    <span className="gm total">{fmtGBP(quote.total / 100)}</span>
+                    <span className="gm price-strike">{fmtGBP(quote.subtotal / 100)}</span>
+                  </div>
+                ) : (
+                  <div className="gm total">{fmtGBP(quote.total / 100)}</div>
+                )}
               </>
-            ) : firstTime ? (
-              <div className="gm price-row big">
-                <span className="gm total">{fmtGBP(finalTotal)}</span>
-                <span className="gm price-strike">{fmtGBP(preDiscountTotal)}</span>
-              </div>
             ) : (
-              <div className="gm total">{fmtGBP(preDiscountTotal)}</div>
+              <div className="gm muted">{quoteError ? "Sorry, we couldn't price this booking." : "Working out your price…"}</div>
             )}
+            {!usingCredit && [["promo", "Promo code"], ["voucher", "Gift voucher"]].map(([kind, label]) => (
+              <React.Fragment key={kind}>
+                <div className="gm promo">
+                  <input
+                    className="gm input"
+                    placeholder={label}
+                    value={inputs[kind]}
+                    onChange={(e)=> { const v = e.target.value; setInputs(i => ({ ...i, [kind]: v })); }}
+                    onKeyDown={(e)=> { if (e.key === "Enter") applyCode(kind); }}
+                  />
+                  <Button onClick={()=> applyCode(kind)}>Apply</Button>
+                </div>
+                {codeErrors[kind] && <div className="gm promo-error">{codeErrors[kind]}</div>}
+              </React.Fragment>
+            ))}
             <div className="gm actions end" style={{ marginTop: 10 }}>
               <Button onClick={()=> setState(s=> ({ ...s, step: "times" }))}>Back</Button>
-              <PrimaryButton onClick={pay}>{usingCredit ? "Confirm" : "Confirm & Pay"}</PrimaryButton>
+              <PrimaryButton onClick={pay} disabled={!usingCredit && !quote}>{usingCredit ? "Confirm" : "Confirm & Pay"}</PrimaryButton>
             </div>
           </div>
         </div>
@@ -589,6 +814,13 @@ function App(){
   const thankyouFlag = urlParams.get("thankyou") === "1";
   const flow = urlParams.get("flow"); // "oneoff" | "sub" | "credit"
   const sessionId = urlParams.get("session_id");
+  const cancelled = urlParams.get("cancel") === "1";
+  const holdToken = urlParams.get("hold");
+  // Waitlist claim links survive the login redirect via sessionStorage.
+  const claimToken = urlParams.get("claim") || sessionStorage.getItem("GM_CLAIM");
+  if (urlParams.get("claim")) sessionStorage.setItem("GM_CLAIM", urlParams.get("claim"));
+  // Referral links (?ref=CODE) are remembered until the customer registers or checks out.
+  if (urlParams.get("ref")) localStorage.setItem("GM_REF", urlParams.get("ref"));
 
   const [state, setState] = React.useState({
     step: "loading",
@@ -596,9 +828,9 @@ function App(){
     user: null,
     credits: { exterior: 0, full: 0 },
     subscriptions: [],
-    customer:{}, has_tap:true, service_key:"", addons:[],
-    selectedDayKey:null, selectedSlot:null,
-    availability:null, monthKey: toDateKey(new Date()).slice(0,7), config:null, first_time:false,
+    customer:{}, has_tap:true, service_key:"", addons:[], vehicles:[], vehicle_id:null, vehicle_size:"",
+    selectedDayKey:null, selectedSlot:null, claim:null,
+    availability:null, monthKey: toDateKey(new Date()).slice(0,7), config:null,
     thankyouKind: flow || null,
   });
 
@@ -623,7 +855,10 @@ function App(){
     };
     const credits = d.credits || { exterior:0, full:0 };
     const subscriptions = d.subscriptions || [];
-    return { user, customer, credits, subscriptions };
+    const v = await fetch(`${API}/my/vehicles`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(r => r.json()).catch(() => null);
+    const vehicles = v?.ok ? v.rows : [];
+    return { user, customer, credits, subscriptions, vehicles };
   }, []);
 
   // Handle success redirects and initial routing
@@ -634,13 +869,19 @@ function App(){
       // Payment success redirects (Stripe / credit booking)
       if (paid) {
         if (sessionId) {
+          localStorage.removeItem("GM_REF"); // the referral went along with this checkout
           await fetch(`${API}/pay/confirm`, { method: "POST", headers: { "Content-Type":"application/json" }, body: JSON.stringify({ session_id: sessionId }) }).catch(()=>{});
         }
         setState(s => ({ ...s, step: "thankyou", thankyouKind: flow || (sessionId ? "oneoff" : "credit") }));
         return;
       }
 
-      if (!afterLogin && !fromSub && !thankyouFlag) {
+      // Back from Stripe Checkout without paying: release the slot we were holding.
+      if (cancelled && holdToken) {
+        await fetch(`${API}/pay/cancel`, { method: "POST", headers: { "Content-Type":"application/json" }, body: JSON.stringify({ hold: holdToken }) }).catch(()=>{});
+      }
+
+      if (!afterLogin && !fromSub && !thankyouFlag && !cancelled && !claimToken) {
         window.location.href = "/login.html"; // keep in-iframe
         return;
       }
@@ -651,20 +892,37 @@ function App(){
       }
 
       try {
-        const { user, customer, credits, subscriptions } = await loadProfile(token);
+        const { user, customer, credits, subscriptions, vehicles } = await loadProfile(token);
+        // Default to the first saved vehicle (credit bookings skip the Services step).
+        const car = vehicles[0];
+        const profile = { token, user, customer, credits, subscriptions, vehicles,
+          vehicle_id: car?.id || null, vehicle_size: car?.size_class || "" };
         if (fromSub && thankyouFlag && flow === "sub") {
-          setState(s => ({ ...s, token, user, customer, credits, subscriptions, step: "thankyou", thankyouKind: "sub" }));
+          setState(s => ({ ...s, ...profile, step: "thankyou", thankyouKind: "sub" }));
           return;
         }
+        // Waitlist claim link: straight to Confirm with the held slot
+        if (claimToken) {
+          sessionStorage.removeItem("GM_CLAIM");
+          const c = await fetch(`${API}/waitlist/claim/${encodeURIComponent(claimToken)}`, { headers: { Authorization: `Bearer ${token}` } })
+            .then(r => r.json()).catch(() => null);
+          if (c?.ok && c.claim) {
+            const { service_key, vehicle_size, slot } = c.claim;
+            setState(s => ({ ...s, ...profile, service_key, vehicle_size, addons: [], claim: claimToken,
+              selectedDayKey: keyFromISO(slot.start_iso), selectedSlot: slot, step: "confirm" }));
+            return;
+          }
+          alert(c?.error === "claim_expired" ? "Sorry, that held slot has expired." : "That claim link is no longer valid.");
+        }
         // If user has credits, take them straight to calendar
         const hasFull = (credits.full||0) > 0;
         const hasExt  = (credits.exterior||0) > 0;
         if (hasFull || hasExt) {
           const inferred = hasFull ? "full" : "exterior";
-          setState(s => ({ ...s, token, user, customer, credits, subscriptions, service_key: inferred, addons: [], step: "calendar" }));
+          setState(s => ({ ...s, ...profile, service_key: inferred, addons: [], step: "calendar" }));
           return;
         }
-        setState(s => ({ ...s, token, user, customer, credits, subscriptions, step: "services" }));
+        setState(s => ({ ...s, ...profile, step: "services" }));
       } catch {
         localStorage.removeItem('GM_TOKEN');
         window.location.href = "/login.html"; // keep in-iframe